@@ -0,0 +1,67 @@
+// Typed errors for BGG API failures. `status` is the HTTP status reported to our
+// own clients, `code` lets the frontend tell the cases apart.
+class BggError extends Error {
+  constructor(message, { status = 502, code = "BGG_ERROR", retryAfterSeconds = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      retryAfterSeconds: this.retryAfterSeconds
+    };
+  }
+}
+
+// BGG answered 202 (request queued) on every attempt
+class BggQueuedError extends BggError {
+  constructor(retryAfterSeconds) {
+    super(`BGG is still preparing your collection, try again in ${retryAfterSeconds} s`, {
+      status: 503,
+      code: "BGG_QUEUED",
+      retryAfterSeconds
+    });
+  }
+}
+
+// BGG answered 429 (too many requests)
+class BggRateLimitError extends BggError {
+  constructor(retryAfterSeconds) {
+    super(`BGG is rate limiting requests, try again in ${retryAfterSeconds} s`, {
+      status: 503,
+      code: "BGG_RATE_LIMITED",
+      retryAfterSeconds
+    });
+  }
+}
+
+// BGG answered 5xx or could not be reached
+class BggUnavailableError extends BggError {
+  constructor(retryAfterSeconds) {
+    super(`BGG is temporarily unavailable, try again in ${retryAfterSeconds} s`, {
+      status: 503,
+      code: "BGG_UNAVAILABLE",
+      retryAfterSeconds
+    });
+  }
+}
+
+// BGG answered 404, or an <errors> document for an unknown user
+class BggNotFoundError extends BggError {
+  constructor(message = "User not found or collection is private") {
+    super(message, { status: 404, code: "BGG_NOT_FOUND" });
+  }
+}
+
+module.exports = {
+  BggError,
+  BggQueuedError,
+  BggRateLimitError,
+  BggUnavailableError,
+  BggNotFoundError
+};
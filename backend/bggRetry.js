@@ -0,0 +1,94 @@
+const {
+  BggError,
+  BggQueuedError,
+  BggRateLimitError,
+  BggUnavailableError,
+  BggNotFoundError
+} = require("./bggErrors");
+
+// Parse a Retry-After header (delta seconds or HTTP date) to milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+// Exponential backoff for the given (zero-based) attempt, capped at maxDelayMs
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  return Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs);
+}
+
+// Run a BGG request with the retry policy:
+// - 202 (queued): poll again with exponential backoff up to the attempt ceiling
+// - 429/503: wait for Retry-After when given, otherwise back off
+// - other 5xx and network errors: back off
+// - 404: fail immediately
+// `sendRequest` performs one attempt and resolves with an axios response.
+// `onRetryAfter` is told about server-mandated pauses so other callers can honour them too.
+async function requestWithRetry(sendRequest, {
+  label = "",
+  maxAttempts = 6,
+  baseDelayMs = 2000,
+  maxDelayMs = 60000,
+  onRetryAfter = null
+} = {}) {
+  let lastError = null;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const isLastAttempt = attempt === maxAttempts - 1;
+    let delayMs = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+
+    try {
+      const response = await sendRequest();
+
+      if (response.status !== 202) {
+        return response;
+      }
+
+      lastError = new BggQueuedError(Math.max(1, Math.ceil(delayMs / 1000)));
+      console.log(`[BGG Retry] 202 queued (attempt ${attempt + 1}/${maxAttempts}): ${label}`);
+    } catch (error) {
+      const status = error.response?.status;
+
+      if (status === 404) {
+        throw new BggNotFoundError();
+      }
+
+      const retryAfterMs = parseRetryAfter(error.response?.headers?.["retry-after"]);
+      if (retryAfterMs !== null) {
+        delayMs = Math.min(retryAfterMs, maxDelayMs);
+        if (onRetryAfter) onRetryAfter(delayMs);
+      }
+
+      const retryAfterSeconds = Math.max(1, Math.ceil(delayMs / 1000));
+      if (status === 429) {
+        lastError = new BggRateLimitError(retryAfterSeconds);
+      } else if (!status || status >= 500) {
+        lastError = new BggUnavailableError(retryAfterSeconds);
+      } else {
+        // Other 4xx responses won't get better by retrying
+        throw new BggError(`BGG request failed with status ${status}`, { status: 502 });
+      }
+
+      console.log(`[BGG Retry] ${status || error.code || "network error"} (attempt ${attempt + 1}/${maxAttempts}): ${label}`);
+    }
+
+    if (!isLastAttempt) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = { requestWithRetry, parseRetryAfter };
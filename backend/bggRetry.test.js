@@ -0,0 +1,137 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { requestWithRetry, parseRetryAfter } = require("./bggRetry");
+const { BggNotFoundError } = require("./bggErrors");
+
+const START = 100000;
+
+// Let the retry loop's promise callbacks run; setImmediate isn't faked
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// An error shaped like axios' for an HTTP error response
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers }
+});
+
+// A stand-in for the axios instance: answers get() with the given responses in turn (errors
+// are thrown, the last answer repeats) and records when it was called (ms after START)
+function stubAxios(answers) {
+  const calls = [];
+  return {
+    calls,
+    get: async (url) => {
+      calls.push(Date.now() - START);
+      const answer = answers[Math.min(calls.length, answers.length) - 1];
+      if (answer instanceof Error) throw answer;
+      return { status: answer, data: `<items url="${url}"/>` };
+    }
+  };
+}
+
+// Run a request to completion, moving the fake clock to each backoff as it's waited for
+async function settle(promise) {
+  let settled = false;
+  promise.then(() => { settled = true; }, () => { settled = true; });
+  while (!settled) {
+    await flush();
+    mock.timers.runAll();
+  }
+  return promise;
+}
+
+describe("requestWithRetry", () => {
+  const options = { baseDelayMs: 2000, maxDelayMs: 5000, maxAttempts: 4 };
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["setTimeout", "Date"], now: START });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it("polls 202 responses with exponential backoff until the data is ready", async () => {
+    const bggApi = stubAxios([202, 202, 200]);
+
+    const response = await settle(requestWithRetry(() => bggApi.get("/collection"), options));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(bggApi.calls, [0, 2000, 6000]);
+  });
+
+  it("gives up on 202 responses after the attempt ceiling, with delays capped", async () => {
+    const bggApi = stubAxios([202]);
+
+    await assert.rejects(settle(requestWithRetry(() => bggApi.get("/collection"), options)), {
+      code: "BGG_QUEUED",
+      status: 503,
+      retryAfterSeconds: 5
+    });
+    assert.deepEqual(bggApi.calls, [0, 2000, 6000, 11000]);
+  });
+
+  it("waits for Retry-After on 429 and 503 and tells the scheduler", async () => {
+    const bggApi = stubAxios([httpError(429, { "retry-after": "7" }), httpError(503, { "retry-after": "1" }), 200]);
+    const pauses = [];
+
+    const response = await settle(requestWithRetry(() => bggApi.get("/thing"), {
+      ...options,
+      maxDelayMs: 60000,
+      onRetryAfter: ms => pauses.push(ms)
+    }));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(bggApi.calls, [0, 7000, 8000]);
+    assert.deepEqual(pauses, [7000, 1000]);
+  });
+
+  it("reports rate limits and outages with their own codes once out of attempts", async () => {
+    await assert.rejects(settle(requestWithRetry(() => stubAxios([httpError(429, { "retry-after": "3" })]).get("/thing"), options)), {
+      code: "BGG_RATE_LIMITED",
+      retryAfterSeconds: 3
+    });
+    await assert.rejects(settle(requestWithRetry(() => stubAxios([httpError(500)]).get("/thing"), options)), {
+      code: "BGG_UNAVAILABLE"
+    });
+
+    const networkError = Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+    await assert.rejects(settle(requestWithRetry(() => stubAxios([networkError]).get("/thing"), options)), {
+      code: "BGG_UNAVAILABLE",
+      status: 503
+    });
+  });
+
+  it("fails right away on 404", async () => {
+    const bggApi = stubAxios([httpError(404), 200]);
+
+    const error = await settle(requestWithRetry(() => bggApi.get("/collection"), options)).catch(err => err);
+
+    assert.ok(error instanceof BggNotFoundError);
+    assert.deepEqual(error.toJSON(), { error: "User not found or collection is private", code: "BGG_NOT_FOUND", retryAfterSeconds: null });
+    assert.equal(error.status, 404);
+    assert.deepEqual(bggApi.calls, [0]);
+  });
+
+  it("fails right away on other 4xx responses", async () => {
+    const bggApi = stubAxios([httpError(400), 200]);
+
+    await assert.rejects(settle(requestWithRetry(() => bggApi.get("/collection"), options)), {
+      code: "BGG_ERROR",
+      status: 502,
+      message: "BGG request failed with status 400"
+    });
+    assert.deepEqual(bggApi.calls, [0]);
+  });
+});
+
+describe("parseRetryAfter", () => {
+  it("reads seconds and HTTP dates", () => {
+    assert.equal(parseRetryAfter("30"), 30000);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter("soon"), null);
+
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    const ms = parseRetryAfter(inTenSeconds);
+    assert.ok(ms > 8000 && ms <= 10000, `${ms} ms`);
+  });
+});
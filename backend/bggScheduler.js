@@ -0,0 +1,97 @@
+// Priorities in the order they are served
+const PRIORITIES = ["interactive", "background"];
+
+class BggScheduler {
+  constructor(minIntervalMs) {
+    // Minimum spacing between the end of one BGG request and the start of the next
+    this.minIntervalMs = minIntervalMs;
+    this.queues = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+    this.lastRequestAt = 0;
+    this.pausedUntil = 0;
+    this.draining = false;
+    this.inFlight = null;
+    this.processedCount = 0;
+  }
+
+  // Queue a request. `task` is a function returning a promise (e.g. an axios call).
+  // Resolves/rejects with the task's own result.
+  schedule(task, { priority = "interactive", label = "" } = {}) {
+    if (!this.queues[priority]) {
+      throw new Error(`Unknown BGG request priority: ${priority}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queues[priority].push({ task, label, resolve, reject, queuedAt: Date.now() });
+      this._drain();
+    });
+  }
+
+  // Hold all requests for a while, e.g. when BGG sends Retry-After
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  // Take the next request, highest priority first
+  _next() {
+    for (const priority of PRIORITIES) {
+      if (this.queues[priority].length > 0) {
+        return { priority, entry: this.queues[priority].shift() };
+      }
+    }
+    return null;
+  }
+
+  // Process the queue one request at a time, enforcing the rate limit
+  async _drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      let next;
+      while ((next = this._next())) {
+        const { priority, entry } = next;
+
+        const wait = Math.max(this.lastRequestAt + this.minIntervalMs, this.pausedUntil) - Date.now();
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        this.inFlight = { priority, label: entry.label, startedAt: Date.now() };
+        const queuedFor = Date.now() - entry.queuedAt;
+        if (queuedFor > this.minIntervalMs) {
+          console.log(`[BGG Queue] ${priority} request waited ${Math.round(queuedFor / 1000)}s: ${entry.label}`);
+        }
+
+        try {
+          entry.resolve(await entry.task());
+        } catch (error) {
+          entry.reject(error);
+        } finally {
+          this.lastRequestAt = Date.now();
+          this.inFlight = null;
+          this.processedCount++;
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  // Queue depth and throughput for /health
+  getStats() {
+    const queued = Object.fromEntries(
+      PRIORITIES.map(priority => [priority, this.queues[priority].length])
+    );
+
+    return {
+      depth: Object.values(queued).reduce((sum, count) => sum + count, 0),
+      queued,
+      inFlight: this.inFlight,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      processed: this.processedCount,
+      minIntervalMs: this.minIntervalMs
+    };
+  }
+}
+
+module.exports = BggScheduler;
@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const BggScheduler = require("./bggScheduler");
+
+const START = 100000;
+
+// Let the queue's promise callbacks run; setImmediate isn't faked
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+async function advance(ms) {
+  mock.timers.tick(ms);
+  await flush();
+}
+
+describe("BggScheduler", () => {
+  let scheduler;
+  let started;
+
+  // A request recording when it started (ms after START), taking `duration` ms
+  const request = (label, { priority, duration = 0, error = null } = {}) => scheduler.schedule(async () => {
+    started.push({ label, at: Date.now() - START });
+    if (duration > 0) await new Promise(resolve => setTimeout(resolve, duration));
+    if (error) throw error;
+    return label;
+  }, { priority, label });
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["setTimeout", "Date"], now: START });
+    scheduler = new BggScheduler(1000);
+    started = [];
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it("serves interactive requests before queued background ones", async () => {
+    const results = Promise.all([
+      request("background-1", { priority: "background" }),
+      request("background-2", { priority: "background" }),
+      request("interactive", { priority: "interactive" })
+    ]);
+
+    await flush();
+    await advance(1000);
+    await advance(1000);
+
+    assert.deepEqual(await results, ["background-1", "background-2", "interactive"]);
+    assert.deepEqual(started.map(({ label }) => label), ["background-1", "interactive", "background-2"]);
+  });
+
+  it("spaces requests from the end of the previous one", async () => {
+    request("first", { duration: 500 });
+    request("second");
+
+    await flush();
+    await advance(500);
+    assert.equal(started.length, 1);
+
+    await advance(999);
+    assert.equal(started.length, 1);
+
+    await advance(1);
+    assert.deepEqual(started, [{ label: "first", at: 0 }, { label: "second", at: 1500 }]);
+  });
+
+  it("holds every request while paused", async () => {
+    await request("first");
+    scheduler.pauseFor(5000);
+    request("interactive");
+    request("background", { priority: "background" });
+
+    await advance(4999);
+    assert.equal(started.length, 1);
+    assert.ok(scheduler.getStats().pausedUntil);
+
+    await advance(1);
+    await advance(1000);
+    assert.deepEqual(started.map(({ label, at }) => [label, at]), [["first", 0], ["interactive", 5000], ["background", 6000]]);
+  });
+
+  it("rejects with the request's error and carries on with the queue", async () => {
+    const failed = request("failing", { error: new Error("BGG is down") });
+    const next = request("next");
+
+    await assert.rejects(failed, /BGG is down/);
+    await advance(1000);
+
+    assert.equal(await next, "next");
+    assert.equal(scheduler.getStats().processed, 2);
+  });
+
+  it("rejects unknown priorities", () => {
+    assert.throws(() => scheduler.schedule(async () => {}, { priority: "urgent" }), /Unknown BGG request priority/);
+  });
+});
@@ -1,20 +1,45 @@
-const fs = require("fs").promises;
 const fsSync = require("fs");
 const path = require("path");
+const { createStorage } = require("./storage");
+const LruCache = require("./lruCache");
+const { CACHE_SCHEMA_VERSION, migrateEntry } = require("./cacheMigrations");
 
 class CacheManager {
-  constructor() {
+  // `storage` overrides the adapter selected by CACHE_STORAGE (see storage/index.js)
+  constructor({ storage = null } = {}) {
     // Environment-configurable settings
     // Auto-detect cache directory based on environment:
     // - If CACHE_DIR env var is set, use that
     // - If running in container (Linux with /cache mount), use /cache
     // - If running on Windows (local dev), use ./cache relative to this file
     this.cacheDir = this._detectCacheDir();
+    this.storage = storage || createStorage({ cacheDir: this.cacheDir });
     this.maxCacheSize = this._parseSize(process.env.MAX_CACHE_SIZE || "100MB");
     this.defaultTTL = this._parseTTL(process.env.CACHE_TTL || "30d");
     this.cleanupInterval = this._parseTTL(process.env.CLEANUP_INTERVAL || "1h");
     this.maxAge = this._parseTTL(process.env.MAX_CACHE_AGE || "30d");
+    // Per-game details are shared between users and refreshed more often than collections
+    this.thingTTL = this._parseTTL(process.env.THING_CACHE_TTL || "7d");
+    // Search results only hold game ids, details come from the thing cache
+    this.searchTTL = this._parseTTL(process.env.SEARCH_CACHE_TTL || "1d");
+    // Collections are served stale after the soft TTL while they are re-checked on BGG,
+    // and only dropped (re-imported) after the hard TTL
+    this.collectionSoftTTL = this._parseTTL(process.env.COLLECTION_SOFT_TTL || "1h");
+    this.collectionHardTTL = this._parseTTL(process.env.COLLECTION_HARD_TTL || process.env.CACHE_TTL || "30d");
+
+    // Hot entries are kept parsed in memory in front of the storage (write-through).
+    // Callers must treat returned data as read-only: it is shared with later reads.
+    // With several replicas sharing Redis, another replica's writes are only seen once
+    // the entry is evicted here; MEMORY_CACHE_SIZE=0 turns the memory tier off.
+    this.memory = new LruCache(this._parseSize(process.env.MEMORY_CACHE_SIZE || "50MB"));
+
+    // Stored size of every entry (key -> bytes), so writes can check the cache size
+    // without asking the storage. Rebuilt from the storage on startup and every cleanup.
+    this.sizeIndex = new Map();
+    this.indexedSize = 0;
     
+    // Storage operations wait until the adapter is connected
+    this.ready = this._openStorage();
     this._initializeCache();
     this._scheduleCleanup();
   }
@@ -37,12 +62,12 @@ class CacheManager {
     return path.join(__dirname, 'cache');
   }
 
-  // Parse size strings like "100MB", "1GB" to bytes
+  // Parse size strings like "100MB", "1GB" to bytes (a plain number is bytes)
   _parseSize(sizeStr) {
-    const units = { KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
-    const match = sizeStr.match(/^(\d+)(KB|MB|GB)$/i);
+    const units = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+    const match = sizeStr.match(/^(\d+)(B|KB|MB|GB)?$/i);
     if (!match) return 100 * 1024 * 1024; // Default 100MB
-    return parseInt(match[1]) * units[match[2].toUpperCase()];
+    return parseInt(match[1]) * units[(match[2] || "B").toUpperCase()];
   }
 
   // Parse time strings like "1h", "24h", "7d" to milliseconds
@@ -53,13 +78,23 @@ class CacheManager {
     return parseInt(match[1]) * units[match[2].toLowerCase()];
   }
 
-  // Initialize cache directory and perform startup cleanup
+  // Connect the storage adapter (create the cache directory, open the database...)
+  async _openStorage() {
+    try {
+      await this.storage.init();
+      this._rebuildIndex(await this.storage.list());
+      console.log(`Cache initialized with ${this.storage.name} storage` +
+        (this.storage.name === "file" ? ` at: ${this.cacheDir}` : ""));
+    } catch (error) {
+      console.error(`Failed to initialize ${this.storage.name} cache storage:`, error.message);
+    }
+  }
+
+  // Perform startup cleanup once storage is ready
   async _initializeCache() {
     try {
-      // Create cache directory if it doesn't exist
-      await fs.mkdir(this.cacheDir, { recursive: true });
-      console.log(`Cache initialized at: ${this.cacheDir}`);
-      
+      await this.ready;
+
       // Perform initial cleanup
       await this._cleanup();
       
@@ -82,26 +117,38 @@ class CacheManager {
     }, this.cleanupInterval);
   }
 
-  // Get cache statistics
+  // Get cache statistics from the size index (`fileCount` is the number of entries in any storage)
   async getStats() {
-    try {
-      const files = await fs.readdir(this.cacheDir);
-      let totalSize = 0;
-      let fileCount = 0;
-
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const filePath = path.join(this.cacheDir, file);
-          const stats = await fs.stat(filePath);
-          totalSize += stats.size;
-          fileCount++;
-        }
-      }
+    await this.ready;
+    return {
+      storage: this.storage.name,
+      fileCount: this.sizeIndex.size,
+      totalSize: this.indexedSize,
+      memory: this.memory.getStats()
+    };
+  }
 
-      return { fileCount, totalSize };
-    } catch (error) {
-      return { fileCount: 0, totalSize: 0 };
-    }
+  _indexSet(key, size) {
+    this.indexedSize += size - (this.sizeIndex.get(key) || 0);
+    this.sizeIndex.set(key, size);
+  }
+
+  _indexDelete(key) {
+    this.indexedSize -= this.sizeIndex.get(key) || 0;
+    this.sizeIndex.delete(key);
+  }
+
+  // Replace the size index with the entries listed by the storage
+  _rebuildIndex(entries) {
+    this.sizeIndex = new Map(entries.map(entry => [entry.key, entry.size]));
+    this.indexedSize = entries.reduce((total, entry) => total + entry.size, 0);
+  }
+
+  // Remove an entry from the storage, the memory tier and the size index
+  async _remove(key) {
+    this.memory.delete(key);
+    this._indexDelete(key);
+    return this.storage.delete(key);
   }
 
   // Format bytes to human-readable size
@@ -113,72 +160,34 @@ class CacheManager {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
   }
 
-  // Get cache file path for a key
-  _getFilePath(key) {
-    // Sanitize key for filesystem
-    const sanitizedKey = key.replace(/[^a-zA-Z0-9_-]/g, '_');
-    return path.join(this.cacheDir, `${sanitizedKey}.json`);
-  }
-
-  // Get lock file path for atomic operations
-  _getLockPath(key) {
-    return this._getFilePath(key) + '.lock';
-  }
-
   // Check if cache entry is valid (not expired)
   _isExpired(metadata, customTTL = null) {
-    const ttl = customTTL || this.defaultTTL;
+    const ttl = customTTL || metadata.ttl || this.defaultTTL;
     return (Date.now() - metadata.timestamp) > ttl;
   }
 
-  // Atomic write with lock file
-  async _atomicWrite(filePath, data) {
-    const lockPath = filePath + '.lock';
-    const tempPath = filePath + '.tmp';
-    
-    try {
-      // Create lock file
-      await fs.writeFile(lockPath, '');
-      
-      // Write to temporary file
-      await fs.writeFile(tempPath, data);
-      
-      // Atomic rename
-      await fs.rename(tempPath, filePath);
-      
-      // Remove lock
-      await fs.unlink(lockPath);
-    } catch (error) {
-      // Cleanup on error
-      try {
-        await fs.unlink(tempPath).catch(() => {});
-        await fs.unlink(lockPath).catch(() => {});
-      } catch {}
-      throw error;
-    }
-  }
-
   // Set cache entry
   async set(key, data, customTTL = null) {
     try {
-      const filePath = this._getFilePath(key);
+      await this.ready;
       const metadata = {
         timestamp: Date.now(),
         ttl: customTTL || this.defaultTTL,
         key: key,
-        size: JSON.stringify(data).length
+        size: JSON.stringify(data).length,
+        schemaVersion: CACHE_SCHEMA_VERSION
       };
 
       const cacheEntry = { metadata, data };
-      const content = JSON.stringify(cacheEntry, null, 2);
-      
-      await this._atomicWrite(filePath, content);
+      // Write-through: the memory tier is only updated once the storage has the entry
+      const storedSize = await this.storage.set(key, cacheEntry);
+      this.memory.set(key, cacheEntry, metadata.size);
+      this._indexSet(key, storedSize);
       
       console.log(`Cache SET: ${key} (${this._formatSize(metadata.size)})`);
       
       // Trigger cleanup if we're getting large
-      const stats = await this.getStats();
-      if (stats.totalSize > this.maxCacheSize * 0.8) {
+      if (this.indexedSize > this.maxCacheSize * 0.8) {
         setImmediate(() => this._cleanup());
       }
       
@@ -189,50 +198,84 @@ class CacheManager {
     }
   }
 
-  // Get cache entry
+  // Get cache entry data
   async get(key, customTTL = null) {
+    const entry = await this.getEntry(key, { ttl: customTTL });
+    return entry ? entry.data : null;
+  }
+
+  // Get a cache entry with its freshness: { data, fetchedAt, age, staleAt, stale } (times in ms).
+  // Entries past `ttl` are gone; entries past `softTTL` are still returned, flagged stale.
+  async getEntry(key, { ttl = null, softTTL = null } = {}) {
     try {
-      const filePath = this._getFilePath(key);
-      const lockPath = this._getLockPath(key);
-      
-      // Check if file is being written (lock exists)
-      if (fsSync.existsSync(lockPath)) {
-        console.log(`Cache LOCKED: ${key} (write in progress)`);
-        return null;
-      }
-      
-      // Check if file exists
-      if (!fsSync.existsSync(filePath)) {
-        return null;
+      await this.ready;
+      let cacheEntry = this.memory.get(key);
+      const fromMemory = !!cacheEntry;
+
+      if (!cacheEntry) {
+        cacheEntry = await this._upgrade(key, await this.storage.get(key));
+        if (!cacheEntry) {
+          return null;
+        }
+        this.memory.set(key, cacheEntry, cacheEntry.metadata.size || 0);
       }
       
-      const content = await fs.readFile(filePath, 'utf-8');
-      const cacheEntry = JSON.parse(content);
-      
       // Check if expired
-      if (this._isExpired(cacheEntry.metadata, customTTL)) {
+      if (this._isExpired(cacheEntry.metadata, ttl)) {
         console.log(`Cache EXPIRED: ${key}`);
         await this.delete(key);
         return null;
       }
       
-      console.log(`Cache HIT: ${key} (age: ${this._formatAge(cacheEntry.metadata.timestamp)})`);
-      return cacheEntry.data;
+      const fetchedAt = cacheEntry.metadata.timestamp;
+      const staleAt = softTTL ? fetchedAt + softTTL : null;
+      const stale = staleAt !== null && Date.now() > staleAt;
+
+      console.log(`Cache HIT${fromMemory ? " (memory)" : ""}${stale ? " (stale)" : ""}: ${key} (age: ${this._formatAge(fetchedAt)})`);
+      return { data: cacheEntry.data, fetchedAt, age: Date.now() - fetchedAt, staleAt, stale };
     } catch (error) {
       console.error(`Cache GET failed for ${key}:`, error.message);
       return null;
     }
   }
 
+  // Bring an entry read from the storage to the current schema version, saving the migrated
+  // entry. Entries that can't be migrated are deleted; returns null for them.
+  async _upgrade(key, cacheEntry) {
+    if (!cacheEntry) return null;
+
+    const version = cacheEntry.metadata.schemaVersion || 1;
+    if (version === CACHE_SCHEMA_VERSION) return cacheEntry;
+
+    if (version > CACHE_SCHEMA_VERSION) {
+      // Written by a newer backend sharing the storage, leave it to that one
+      console.log(`Cache SKIP: ${key} (schema v${version} is newer than v${CACHE_SCHEMA_VERSION})`);
+      return null;
+    }
+
+    const migrated = migrateEntry(cacheEntry);
+    if (!migrated) {
+      console.log(`Cache DISCARD: ${key} (schema v${version} can't be migrated)`);
+      await this.delete(key);
+      return null;
+    }
+
+    this._indexSet(key, await this.storage.set(key, migrated));
+    console.log(`Cache MIGRATED: ${key} (schema v${version} -> v${CACHE_SCHEMA_VERSION})`);
+    return migrated;
+  }
+
   // Delete cache entry
   async delete(key) {
     try {
-      const filePath = this._getFilePath(key);
-      await fs.unlink(filePath);
-      console.log(`Cache DELETE: ${key}`);
-      return true;
+      await this.ready;
+      const deleted = await this._remove(key);
+      if (deleted) {
+        console.log(`Cache DELETE: ${key}`);
+      }
+      return deleted;
     } catch (error) {
-      // File might not exist, that's okay
+      console.error(`Cache DELETE failed for ${key}:`, error.message);
       return false;
     }
   }
@@ -240,18 +283,121 @@ class CacheManager {
   // Check if key exists and is valid
   async exists(key, customTTL = null) {
     try {
-      const filePath = this._getFilePath(key);
-      if (!fsSync.existsSync(filePath)) return false;
-      
-      const content = await fs.readFile(filePath, 'utf-8');
-      const cacheEntry = JSON.parse(content);
-      
-      return !this._isExpired(cacheEntry.metadata, customTTL);
+      await this.ready;
+      const cacheEntry = this.memory.has(key)
+        ? this.memory.get(key)
+        : (await this.storage.exists(key)) && await this._upgrade(key, await this.storage.get(key));
+      return !!cacheEntry && !this._isExpired(cacheEntry.metadata, customTTL);
     } catch (error) {
       return false;
     }
   }
 
+  // Stored entries with their size, age and TTL (for the admin API), sorted by key.
+  // `pattern` filters keys, "*" matching anything (e.g. "thing_*").
+  async listEntries({ pattern = null } = {}) {
+    await this.ready;
+    const matcher = pattern ? this._patternToRegExp(pattern) : null;
+    const now = Date.now();
+
+    return (await this.storage.list())
+      .filter(entry => !matcher || matcher.test(entry.key))
+      .map(({ key, size, metadata }) => {
+        const ttl = metadata.ttl || this.defaultTTL;
+        return {
+          key,
+          size,
+          age: now - metadata.timestamp,
+          ttl,
+          expiresAt: new Date(metadata.timestamp + ttl).toISOString(),
+          schemaVersion: metadata.schemaVersion || 1,
+          inMemory: this.memory.has(key)
+        };
+      })
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  // Metadata of a stored entry (not its data), null when there is none
+  async getMetadata(key) {
+    await this.ready;
+    const cacheEntry = await this.storage.get(key);
+    return cacheEntry ? cacheEntry.metadata : null;
+  }
+
+  // Delete every entry whose key matches a pattern ("*" matches anything), returning their keys
+  async deleteMatching(pattern) {
+    const deletedKeys = [];
+    for (const { key } of await this.listEntries({ pattern })) {
+      if (await this.delete(key)) deletedKeys.push(key);
+    }
+    return deletedKeys;
+  }
+
+  _patternToRegExp(pattern) {
+    const source = pattern
+      .split("*")
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${source}$`);
+  }
+
+  // Get cache key for a BGG thing (game) detail entry
+  _getThingKey(gameId) {
+    return `thing_${gameId}`;
+  }
+
+  // Get a shared per-game detail entry
+  async getThing(gameId) {
+    return this.get(this._getThingKey(gameId), this.thingTTL);
+  }
+
+  // Store a shared per-game detail entry with the thing TTL
+  async setThing(gameId, data) {
+    return this.set(this._getThingKey(gameId), data, this.thingTTL);
+  }
+
+  // Look up many games at once, splitting ids into cached details and ids still to fetch
+  async getThings(gameIds) {
+    const found = new Map();
+    const missing = [];
+
+    for (const gameId of gameIds) {
+      const thing = await this.getThing(gameId);
+      if (thing) {
+        found.set(gameId, thing);
+      } else {
+        missing.push(gameId);
+      }
+    }
+
+    return { found, missing };
+  }
+
+  // Get a collection entry with its freshness (the key comes from the collection view)
+  async getCollection(key) {
+    return this.getEntry(key, { ttl: this.collectionHardTTL, softTTL: this.collectionSoftTTL });
+  }
+
+  // Store a collection with the hard collection TTL
+  async setCollection(key, data) {
+    return this.set(key, data, this.collectionHardTTL);
+  }
+
+  // Get cache key for a game search, case and whitespace insensitive
+  _getSearchKey(query) {
+    return `search_${query.trim().toLowerCase().replace(/\s+/g, " ")}`;
+  }
+
+  // Get cached search results
+  async getSearch(query) {
+    return this.get(this._getSearchKey(query), this.searchTTL);
+  }
+
+  // Store search results with the search TTL
+  async setSearch(query, data) {
+    return this.set(this._getSearchKey(query), data, this.searchTTL);
+  }
+
   // Format age for logging
   _formatAge(timestamp) {
     const age = Date.now() - timestamp;
@@ -267,65 +413,50 @@ class CacheManager {
   // Clean up expired and oversized cache
   async _cleanup() {
     try {
-      const files = await fs.readdir(this.cacheDir);
-      const cacheFiles = files.filter(f => f.endsWith('.json') && !f.endsWith('.lock') && !f.endsWith('.tmp'));
+      await this.ready;
+      // Leftovers of interrupted writes (file storage locks and temporary files)
+      const sweptCount = await this.storage.sweep();
+      if (sweptCount > 0) {
+        console.log(`Cache cleanup: removed ${sweptCount} stale lock and temporary files`);
+      }
+
+      const entries = await this.storage.list();
+      // The storage is the source of truth (other replicas may share it)
+      this._rebuildIndex(entries);
       
       let deletedCount = 0;
       let deletedSize = 0;
-      let totalSize = 0;
-      const fileInfos = [];
-
-      // Collect file information
-      for (const file of cacheFiles) {
-        const filePath = path.join(this.cacheDir, file);
-        try {
-          const stats = await fs.stat(filePath);
-          const content = await fs.readFile(filePath, 'utf-8');
-          const cacheEntry = JSON.parse(content);
-          
-          fileInfos.push({
-            file,
-            filePath,
-            size: stats.size,
-            timestamp: cacheEntry.metadata.timestamp,
-            metadata: cacheEntry.metadata
-          });
-          
-          totalSize += stats.size;
-        } catch (error) {
-          // Corrupted file, mark for deletion
-          await fs.unlink(filePath);
-          deletedCount++;
-        }
-      }
+      let totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+      const remaining = [];
 
-      // Delete expired files
-      for (const fileInfo of fileInfos) {
-        if (this._isExpired(fileInfo.metadata) || (Date.now() - fileInfo.timestamp) > this.maxAge) {
-          await fs.unlink(fileInfo.filePath);
+      // Delete expired entries
+      for (const entry of entries) {
+        if (this._isExpired(entry.metadata) || (Date.now() - entry.metadata.timestamp) > this.maxAge) {
+          await this._remove(entry.key);
           deletedCount++;
-          deletedSize += fileInfo.size;
-          totalSize -= fileInfo.size;
+          deletedSize += entry.size;
+          totalSize -= entry.size;
+        } else {
+          remaining.push(entry);
         }
       }
 
-      // If still over size limit, delete oldest files
+      // If still over size limit, delete oldest entries
       if (totalSize > this.maxCacheSize) {
-        const remainingFiles = fileInfos.filter(f => fsSync.existsSync(f.filePath));
-        remainingFiles.sort((a, b) => a.timestamp - b.timestamp); // Oldest first
+        remaining.sort((a, b) => a.metadata.timestamp - b.metadata.timestamp); // Oldest first
         
-        for (const fileInfo of remainingFiles) {
+        for (const entry of remaining) {
           if (totalSize <= this.maxCacheSize * 0.9) break; // Leave some headroom
           
-          await fs.unlink(fileInfo.filePath);
+          await this._remove(entry.key);
           deletedCount++;
-          deletedSize += fileInfo.size;
-          totalSize -= fileInfo.size;
+          deletedSize += entry.size;
+          totalSize -= entry.size;
         }
       }
 
       if (deletedCount > 0) {
-        console.log(`Cache cleanup: deleted ${deletedCount} files (${this._formatSize(deletedSize)})`);
+        console.log(`Cache cleanup: deleted ${deletedCount} entries (${this._formatSize(deletedSize)})`);
       }
 
       return { deletedCount, deletedSize, remainingSize: totalSize };
@@ -338,17 +469,12 @@ class CacheManager {
   // Clear all cache
   async clear() {
     try {
-      const files = await fs.readdir(this.cacheDir);
-      let deletedCount = 0;
-      
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          await fs.unlink(path.join(this.cacheDir, file));
-          deletedCount++;
-        }
-      }
+      await this.ready;
+      const deletedCount = await this.storage.clear();
+      this.memory.clear();
+      this._rebuildIndex([]);
       
-      console.log(`Cache cleared: ${deletedCount} files deleted`);
+      console.log(`Cache cleared: ${deletedCount} entries deleted`);
       return deletedCount;
     } catch (error) {
       console.error("Cache clear failed:", error.message);
@@ -0,0 +1,43 @@
+// Schema versions of cache entries ({ metadata, data }). When the shape of stored entries
+// changes, bump CACHE_SCHEMA_VERSION and register a migration from the previous version.
+// Entries that can't be migrated are discarded and fetched from BGG again.
+//
+// This versions the cache entry as a whole; the game model inside collections and game
+// details has its own GAME_MODEL_VERSION (gameModel.js).
+const CACHE_SCHEMA_VERSION = 2;
+
+// MIGRATIONS[n] turns a version n entry into a version n + 1 entry
+const MIGRATIONS = {
+  // Version 1: entries written before schema versions (pretty-printed, uncompressed files).
+  // Compression happens in the storage, so the entry itself keeps its shape.
+  1: entry => entry
+};
+
+// Migrate an entry to `targetVersion`, one registered step at a time. Entries without a
+// schema version are version 1. Returns null when a step is missing or fails.
+function migrateEntry(entry, { migrations = MIGRATIONS, targetVersion = CACHE_SCHEMA_VERSION } = {}) {
+  let migrated = entry;
+  let version = entry.metadata.schemaVersion || 1;
+
+  while (version < targetVersion) {
+    const migrate = migrations[version];
+    if (!migrate) return null;
+
+    try {
+      migrated = migrate(migrated);
+    } catch (error) {
+      console.error(`Cache migration from schema v${version} failed for ${entry.metadata.key}:`, error.message);
+      return null;
+    }
+
+    version++;
+    migrated = { ...migrated, metadata: { ...migrated.metadata, schemaVersion: version } };
+  }
+
+  return migrated;
+}
+
+module.exports = {
+  CACHE_SCHEMA_VERSION,
+  migrateEntry
+};
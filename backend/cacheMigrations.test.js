@@ -0,0 +1,42 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { CACHE_SCHEMA_VERSION, migrateEntry } = require("./cacheMigrations");
+
+const entry = (schemaVersion, data) => ({
+  metadata: { timestamp: 1000, ttl: 60 * 1000, key: "demo_detailed.json", size: 10, ...(schemaVersion && { schemaVersion }) },
+  data
+});
+
+describe("migrateEntry", () => {
+  it("migrates entries written before schema versions", () => {
+    const migrated = migrateEntry(entry(null, { games: [] }));
+
+    assert.equal(migrated.metadata.schemaVersion, CACHE_SCHEMA_VERSION);
+    assert.deepEqual(migrated.data, { games: [] });
+  });
+
+  it("applies each registered step in order", () => {
+    const migrations = {
+      1: ({ metadata, data }) => ({ metadata, data: { games: data.items } }),
+      2: ({ metadata, data }) => ({ metadata, data: { ...data, total: data.games.length } })
+    };
+
+    const migrated = migrateEntry(entry(1, { items: ["1", "2"] }), { migrations, targetVersion: 3 });
+
+    assert.deepEqual(migrated.data, { games: ["1", "2"], total: 2 });
+    assert.equal(migrated.metadata.schemaVersion, 3);
+  });
+
+  it("returns current entries unchanged", () => {
+    const current = entry(CACHE_SCHEMA_VERSION, { games: [] });
+
+    assert.equal(migrateEntry(current), current);
+  });
+
+  it("gives up when a step is missing or fails", () => {
+    const failing = { 1: () => { throw new Error("unexpected shape"); } };
+
+    assert.equal(migrateEntry(entry(1, {}), { migrations: {}, targetVersion: 2 }), null);
+    assert.equal(migrateEntry(entry(1, {}), { migrations: failing, targetVersion: 2 }), null);
+  });
+});
@@ -0,0 +1,90 @@
+const { getPlayCount } = require("./collectionFilters");
+
+// Columns available in exports: header and how to read the value from a game.
+// `playStats` are per-game play statistics (see playHistory.js), empty when plays weren't imported.
+const EXPORT_COLUMNS = {
+  id: { header: "BGG ID", value: (game) => game.id },
+  name: { header: "Name", value: (game) => game.name },
+  year: { header: "Year", value: (game) => game.yearPublished },
+  minPlayers: { header: "Min Players", value: (game) => game.players && game.players.min },
+  maxPlayers: { header: "Max Players", value: (game) => game.players && game.players.max },
+  bestPlayers: { header: "Best Player Count", value: (game) => game.players && game.players.best },
+  recommendedPlayers: { header: "Recommended Player Counts", value: (game) => game.players && game.players.recommended },
+  playingTime: { header: "Playing Time (min)", value: (game) => game.playingTime && game.playingTime.typical },
+  minAge: { header: "Min Age", value: (game) => game.minAge },
+  weight: { header: "Weight", value: (game) => game.weight },
+  rating: { header: "BGG Rating", value: (game) => game.rating && game.rating.average },
+  rank: { header: "BGG Rank", value: (game) => game.rank },
+  myRating: { header: "My Rating", value: (game) => game.collection && game.collection.rating },
+  plays: { header: "Plays", value: (game, { playStats }) => getPlayCount(game, playStats) },
+  lastPlayed: { header: "Last Played", value: (game, { playStats }) => playStats[game.id] ? playStats[game.id].lastPlayed : null },
+  categories: { header: "Categories", value: (game) => game.categories },
+  mechanics: { header: "Mechanics", value: (game) => game.mechanics },
+  designers: { header: "Designers", value: (game) => game.designers },
+  isExpansion: { header: "Expansion", value: (game) => game.isExpansion },
+  ownedBy: { header: "Owned By", value: (game) => game.ownedBy },
+  wishlistPriority: { header: "Wishlist Priority", value: (game) => game.collection && game.collection.wishlistPriority },
+  comment: { header: "Comment", value: (game) => game.collection && game.collection.comment },
+  bggUrl: { header: "BGG Link", value: (game) => `https://boardgamegeek.com/boardgame/${game.id}` }
+};
+
+const DEFAULT_COLUMNS = ["name", "year", "minPlayers", "maxPlayers", "playingTime", "weight", "rating", "isExpansion"];
+
+const EXPORT_FORMATS = ["csv", "json", "xlsx-compatible-csv"];
+
+// Resolve ?columns=a,b,c, returning the column keys or throwing on unknown columns
+function resolveColumns(value) {
+  if (!value) return DEFAULT_COLUMNS;
+
+  const columns = String(value).split(",").map(column => column.trim()).filter(Boolean);
+  const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown export columns: ${unknown.join(", ")}. Use any of: ${Object.keys(EXPORT_COLUMNS).join(", ")}`);
+    error.status = 400;
+    throw error;
+  }
+  return columns;
+}
+
+// One plain object per game with the selected columns as keys
+function toRows(games, columns, { playStats = {} } = {}) {
+  return games.map(game => Object.fromEntries(
+    columns.map(column => [column, EXPORT_COLUMNS[column].value(game, { playStats }) ?? null])
+  ));
+}
+
+function formatCell(value, { excel }) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) value = value.join(excel ? "; " : ", ");
+  if (typeof value === "boolean") value = value ? "Yes" : "No";
+
+  let text = String(value);
+  // Spreadsheets would run cells starting with these as formulas, and plain CSV is opened in
+  // spreadsheets too. Numbers are left as they are.
+  if (typeof value !== "number" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n;]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Render rows as CSV. The spreadsheet variant starts with a UTF-8 byte order mark so Excel
+// detects the encoding, and uses CRLF line endings.
+function toCsv(rows, columns, { excel = false } = {}) {
+  const lines = [
+    columns.map(column => formatCell(EXPORT_COLUMNS[column].header, { excel })).join(","),
+    ...rows.map(row => columns.map(column => formatCell(row[column], { excel })).join(","))
+  ];
+  return (excel ? "\uFEFF" : "") + lines.join(excel ? "\r\n" : "\n") + (excel ? "\r\n" : "\n");
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  EXPORT_FORMATS,
+  resolveColumns,
+  toRows,
+  toCsv
+};
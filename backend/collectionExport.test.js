@@ -0,0 +1,19 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { toCsv } = require("./collectionExport");
+
+describe("toCsv", () => {
+  const rows = [{ name: "Catan", comment: "=HYPERLINK(\"http://example.com\")", rating: -1 }];
+
+  it("keeps cells from running as formulas in both CSV formats", () => {
+    for (const excel of [false, true]) {
+      const [, line] = toCsv(rows, ["name", "comment", "rating"], { excel }).replace(/^\uFEFF/, "").split(/\r?\n/);
+      assert.equal(line, `Catan,"'=HYPERLINK(""http://example.com"")",-1`);
+    }
+  });
+
+  it("adds a byte order mark and CRLF line endings for spreadsheets", () => {
+    assert.equal(toCsv([{ name: "Catan" }], ["name"], { excel: true }), "\uFEFFName\r\nCatan\r\n");
+    assert.equal(toCsv([{ name: "Catan" }], ["name"]), "Name\nCatan\n");
+  });
+});
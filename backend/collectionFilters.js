@@ -0,0 +1,160 @@
+// Server-side copy of the collection filters and sort orders in frontend/src/App.js
+// (filteredGames / sortGames), so exports match what the user sees. Filters use the same
+// names as the frontend's filter state and are read from query parameters.
+
+// Scenario moods and the BGG categories they match (MOOD_CATEGORIES in App.js)
+const MOOD_CATEGORIES = {
+  thinky: ['Strategy Game', 'Economic', 'Puzzle'],
+  social: ['Party Game', 'Bluffing', 'Negotiation'],
+  chaotic: ['Dice', 'Take That', 'Real-time'],
+  chill: ['Family Game', 'Abstract Strategy', 'Card Game']
+};
+
+const FILTER_PARAMS = [
+  "nameFilter",
+  "minWeight",
+  "maxWeight",
+  "minPlayers",
+  "maxPlayers",
+  "bestPlayerCount",
+  "maxTime",
+  "hideExpansions",
+  "ownedBy",
+  "wishlistPriority",
+  "notPlayedMonths",
+  "minMyRating",
+  "mood",
+  "cooperative"
+];
+
+const SORT_FIELDS = ["name", "rating", "myRating", "weight", "plays", "lastPlayed"];
+
+// Pick the filter parameters out of a request query, dropping empty values
+function readFilters(query) {
+  return Object.fromEntries(FILTER_PARAMS
+    .filter(name => query[name] !== undefined && query[name] !== "")
+    .map(name => [name, String(query[name])]));
+}
+
+// Scenario filters match categories and mechanics alike ("Cooperative Game" is a mechanic)
+function getGameCategories(game) {
+  return [...(game.categories || []), ...(game.mechanics || [])];
+}
+
+function matchesMood(game, mood) {
+  const moodCategories = MOOD_CATEGORIES[mood] || [];
+  return getGameCategories(game).some(cat =>
+    moodCategories.some(moodCat => cat.toLowerCase().includes(moodCat.toLowerCase()))
+  );
+}
+
+function isCooperative(game) {
+  return getGameCategories(game).some(cat => cat.toLowerCase().includes('cooperative'));
+}
+
+// Logged plays from the play history, falling back to the collection's own play count
+// (summed over the owners of a combined group collection)
+function getPlayCount(game, playStats) {
+  const stats = playStats[game.id];
+  if (stats) return stats.playCount;
+
+  const entries = game.collections ? Object.values(game.collections) : [game.collection];
+  return entries.reduce((total, entry) => total + ((entry && entry.numPlays) || 0), 0);
+}
+
+// Filter games like the frontend. `playStats` are per-game play statistics (see playHistory.js).
+// Games with unknown values pass numeric filters, as they do in the UI.
+function filterGames(games, filters, { playStats = {}, now = new Date() } = {}) {
+  let notPlayedSince = null;
+  if (filters.notPlayedMonths) {
+    notPlayedSince = new Date(now);
+    notPlayedSince.setMonth(notPlayedSince.getMonth() - parseInt(filters.notPlayedMonths));
+  }
+
+  return games.filter(game => {
+    const collection = game.collection || {};
+    const players = game.players || {};
+
+    if (filters.nameFilter && !game.name.toLowerCase().includes(filters.nameFilter.toLowerCase())) return false;
+    if (filters.hideExpansions === "true" && game.isExpansion) return false;
+    if (filters.ownedBy && !(game.ownedBy || []).includes(filters.ownedBy)) return false;
+
+    if (filters.minMyRating) {
+      if (collection.rating === null || collection.rating === undefined ||
+          collection.rating < parseFloat(filters.minMyRating)) return false;
+    }
+
+    if (notPlayedSince) {
+      const lastPlayed = playStats[game.id] && playStats[game.id].lastPlayed;
+      if (lastPlayed && new Date(lastPlayed) >= notPlayedSince) return false;
+    }
+
+    if (filters.wishlistPriority && collection.wishlistPriority !== parseInt(filters.wishlistPriority)) return false;
+
+    if (filters.minWeight && game.weight !== null && game.weight < parseFloat(filters.minWeight)) return false;
+    if (filters.maxWeight && game.weight !== null && game.weight > parseFloat(filters.maxWeight)) return false;
+
+    if (filters.minPlayers && (players.max === null || players.max < parseInt(filters.minPlayers))) return false;
+    if (filters.maxPlayers && (players.min === null || players.min > parseInt(filters.maxPlayers))) return false;
+    if (filters.bestPlayerCount && players.best !== parseInt(filters.bestPlayerCount)) return false;
+
+    if (filters.maxTime && ((game.playingTime && game.playingTime.typical) || 0) > parseInt(filters.maxTime)) return false;
+
+    // Scenario filters
+    if (filters.mood && !matchesMood(game, filters.mood)) return false;
+    if (filters.cooperative && (filters.cooperative === "true") !== isCooperative(game)) return false;
+
+    return true;
+  });
+}
+
+// Sort games by "<field>-<asc|desc>", e.g. "rating-desc"
+function sortGames(games, sortBy = "name-asc", { playStats = {} } = {}) {
+  const [field, direction] = sortBy.split('-');
+
+  const valueOf = (game) => {
+    switch (field) {
+      case 'name':
+        return game.name.toLowerCase();
+      case 'rating':
+        return (game.rating && game.rating.average) || 0;
+      case 'myRating':
+        return (game.collection && game.collection.rating) || 0;
+      case 'weight':
+        return game.weight || 0;
+      case 'plays':
+        return getPlayCount(game, playStats);
+      case 'lastPlayed':
+        // Never played sorts as the oldest
+        return (playStats[game.id] && playStats[game.id].lastPlayed) || '';
+      default:
+        return 0;
+    }
+  };
+
+  return [...games].sort((a, b) => {
+    const [first, second] = direction === 'asc' ? [a, b] : [b, a];
+    const firstValue = valueOf(first);
+    const secondValue = valueOf(second);
+
+    if (typeof firstValue === 'string') {
+      return firstValue.localeCompare(secondValue);
+    }
+    return firstValue - secondValue;
+  });
+}
+
+// Whether a sort order is one the frontend offers
+function isValidSort(sortBy) {
+  const [field, direction] = String(sortBy).split('-');
+  return SORT_FIELDS.includes(field) && (direction === 'asc' || direction === 'desc');
+}
+
+module.exports = {
+  FILTER_PARAMS,
+  readFilters,
+  filterGames,
+  sortGames,
+  isValidSort,
+  getPlayCount
+};
@@ -0,0 +1,23 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { filterGames } = require("./collectionFilters");
+
+const game = (id, categories, mechanics) => ({ id, name: `Game ${id}`, categories, mechanics, players: {}, collection: {} });
+
+describe("scenario filters", () => {
+  const pandemic = game("30549", ["Medical"], ["Cooperative Game", "Hand Management"]);
+  const catan = game("13", ["Economic", "Negotiation"], ["Dice Rolling", "Trading"]);
+
+  it("finds cooperative games by their mechanics, like the UI", () => {
+    assert.deepEqual(filterGames([pandemic, catan], { cooperative: "true" }).map(g => g.id), ["30549"]);
+    assert.deepEqual(filterGames([pandemic, catan], { cooperative: "false" }).map(g => g.id), ["13"]);
+  });
+
+  it("matches moods against categories and mechanics", () => {
+    const skull = game("92415", ["Party Game"], ["Bluffing"]);
+    const yahtzee = game("2243", [], ["Dice Rolling"]);
+
+    assert.deepEqual(filterGames([skull, yahtzee, pandemic], { mood: "chaotic" }).map(g => g.id), ["2243"]);
+    assert.deepEqual(filterGames([skull, yahtzee, catan], { mood: "social" }).map(g => g.id), ["92415", "13"]);
+  });
+});
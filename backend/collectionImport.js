@@ -0,0 +1,104 @@
+// Read games from an uploaded CSV for local collections. Accepts this app's own exports
+// (see collectionExport.js), BGG's collection CSV export (objectid, objectname) and plain
+// lists with a BGG id per line, optionally followed by condition notes.
+
+const ID_HEADERS = ["id", "bgg id", "bggid", "objectid", "game id"];
+const NAME_HEADERS = ["name", "objectname", "game"];
+const CONDITION_HEADERS = ["condition", "notes", "condition notes", "comment"];
+
+// Split CSV text into rows of cells, handling quoted cells with commas, quotes and newlines
+function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ""));
+}
+
+function findColumn(header, names) {
+  return header.findIndex(cell => names.includes(cell.trim().toLowerCase()));
+}
+
+// Read { id, name, condition } entries from CSV text. Rows without a numeric BGG id are
+// reported in `skipped` with their line number (1-based, counting the header).
+function readGameCsv(text) {
+  const content = String(text).replace(/^\uFEFF/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  // Spreadsheets in some locales save CSV with semicolons
+  const delimiter = firstLine.includes(";") && !firstLine.includes(",") ? ";" : ",";
+  const rows = parseCsv(content, delimiter);
+
+  let columns = { id: 0, name: -1, condition: 1 };
+  let firstDataRow = 0;
+
+  const header = rows[0] || [];
+  const idColumn = findColumn(header, ID_HEADERS);
+  if (idColumn !== -1) {
+    columns = {
+      id: idColumn,
+      name: findColumn(header, NAME_HEADERS),
+      condition: findColumn(header, CONDITION_HEADERS)
+    };
+    firstDataRow = 1;
+  }
+
+  const games = [];
+  const skipped = [];
+
+  rows.slice(firstDataRow).forEach((cells, index) => {
+    const cell = (column) => (column >= 0 && cells[column] !== undefined ? cells[column].trim() : "");
+    const id = cell(columns.id);
+
+    if (!/^\d+$/.test(id)) {
+      skipped.push({ line: index + firstDataRow + 1, value: id });
+      return;
+    }
+
+    games.push({
+      id,
+      name: cell(columns.name) || null,
+      condition: cell(columns.condition) || null
+    });
+  });
+
+  return { games, skipped };
+}
+
+module.exports = {
+  parseCsv,
+  readGameCsv
+};
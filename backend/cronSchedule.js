@@ -0,0 +1,103 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week", local time) with
+// "*", numbers, ranges ("1-5"), lists ("1,15") and steps ("*/15", "9-17/2").
+// Day of week 0 and 7 are both Sunday.
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }
+];
+
+// No schedule waits longer than this for its next run (e.g. "0 0 29 2 *" in leap years)
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} "${text}" in cron expression`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === "*" ? min : parseInt(start, 10);
+    // "5/10" means from 5 to the end of the range, every 10
+    const to = range === "*" || (step && end === undefined) ? max : parseInt(end ?? start, 10);
+    const every = step ? parseInt(step, 10) : 1;
+
+    if (from < min || to > max || from > to || every < 1) {
+      throw new Error(`Invalid ${name} "${text}" in cron expression (allowed ${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += every) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Parse a cron expression, throwing on invalid ones
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" needs 5 fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    expression: parts.join(" "),
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like cron, when both day fields are restricted a day matching either one runs.
+    // A day field starting with "*" (also "*/2") doesn't count as restricted.
+    anyDayOfMonth: parts[2].startsWith("*"),
+    anyDayOfWeek: parts[4].startsWith("*")
+  };
+}
+
+function matchesDay(schedule, time) {
+  const dayOfMonth = schedule.daysOfMonth.has(time.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(time.getDay());
+
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+}
+
+// The first time after `from` (a Date) that the schedule runs
+function nextRun(schedule, from = new Date()) {
+  const time = new Date(from);
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+  const limit = from.getTime() + MAX_LOOKAHEAD_MS;
+
+  // Skip whole months, days and hours that don't match before stepping through minutes
+  while (time.getTime() <= limit) {
+    if (!schedule.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0);
+    } else if (!matchesDay(schedule, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0);
+    } else if (!schedule.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0);
+    } else if (!schedule.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never runs`);
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
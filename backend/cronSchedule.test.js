@@ -0,0 +1,52 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, nextRun } = require("./cronSchedule");
+
+// Local times, like the schedules themselves
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+const next = (expression, from) => nextRun(parseCron(expression), from);
+
+describe("cron schedules", () => {
+  it("runs every matching minute", () => {
+    assert.deepEqual(next("*/15 * * * *", at(2024, 3, 1, 10, 7)), at(2024, 3, 1, 10, 15));
+    assert.deepEqual(next("*/15 * * * *", at(2024, 3, 1, 10, 45)), at(2024, 3, 1, 11, 0));
+  });
+
+  it("runs strictly after the given time", () => {
+    assert.deepEqual(next("0 17 * * *", at(2024, 3, 1, 17, 0)), at(2024, 3, 2, 17, 0));
+  });
+
+  it("supports ranges, lists and stepped ranges", () => {
+    assert.deepEqual(next("30 9-17/4 * * *", at(2024, 3, 1, 13, 31)), at(2024, 3, 1, 17, 30));
+    assert.deepEqual(next("0 8 1,15 * *", at(2024, 3, 2)), at(2024, 3, 15, 8, 0));
+  });
+
+  it("treats day of week 0 and 7 as Sunday", () => {
+    // 2024-03-01 is a Friday
+    assert.deepEqual(next("0 16 * * 7", at(2024, 3, 1)), at(2024, 3, 3, 16, 0));
+    assert.deepEqual(next("0 16 * * 0", at(2024, 3, 1)), at(2024, 3, 3, 16, 0));
+  });
+
+  it("runs on either day field when both are restricted", () => {
+    assert.deepEqual(next("0 0 10 * 1", at(2024, 3, 1)), at(2024, 3, 4, 0, 0));
+    assert.deepEqual(next("0 0 10 * 1", at(2024, 3, 5)), at(2024, 3, 10, 0, 0));
+  });
+
+  it("needs both day fields to match when one starts with *", () => {
+    // Odd days that are Mondays, and the 15th on Sundays, Tuesdays, Thursdays or Saturdays
+    assert.deepEqual(next("0 0 */2 * 1", at(2024, 3, 1)), at(2024, 3, 11, 0, 0));
+    assert.deepEqual(next("0 0 15 * */2", at(2024, 3, 1)), at(2024, 6, 15, 0, 0));
+  });
+
+  it("crosses months and years", () => {
+    assert.deepEqual(next("0 0 1 1 *", at(2024, 3, 1)), at(2025, 1, 1, 0, 0));
+    assert.deepEqual(next("0 0 29 2 *", at(2025, 3, 1)), at(2028, 2, 29, 0, 0));
+  });
+
+  it("rejects invalid expressions", () => {
+    assert.throws(() => parseCron("0 17 * *"), /needs 5 fields/);
+    assert.throws(() => parseCron("60 * * * *"), /Invalid minute "60"/);
+    assert.throws(() => parseCron("0 17 * * mon"), /Invalid day of week "mon"/);
+    assert.throws(() => next("0 0 31 2 *", at(2024, 1, 1)), /never runs/);
+  });
+});
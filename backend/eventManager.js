@@ -2,41 +2,52 @@ const fs = require("fs").promises;
 const fsSync = require("fs");
 const path = require("path");
 const { nanoid } = require("nanoid");
+const EventRepository = require("./eventRepository");
+const { importEventFiles } = require("./importEvents");
+
+// Detect the appropriate events directory based on environment
+function detectEventsDir() {
+  // Explicit env var takes precedence
+  if (process.env.EVENTS_DIR) {
+    return process.env.EVENTS_DIR;
+  }
+  
+  // Check if running in a container (Linux with /cache directory available)
+  const isContainer = process.platform !== 'win32' && fsSync.existsSync('/cache');
+  
+  if (isContainer) {
+    return '/cache/events';
+  }
+  
+  // Local development - use ./cache/events relative to backend folder
+  return path.join(__dirname, 'cache', 'events');
+}
+
+// The events database, next to the JSON files of the old file-per-event store by default
+function detectDbPath(eventsDir) {
+  return process.env.EVENTS_DB_PATH || path.join(eventsDir, 'events.sqlite');
+}
 
 class EventManager {
   constructor() {
     // Use same environment detection as CacheManager
-    this.eventsDir = this._detectEventsDir();
+    this.eventsDir = detectEventsDir();
+    this.dbPath = detectDbPath(this.eventsDir);
     this.maxEventAge = 30 * 24 * 60 * 60 * 1000; // 30 days in ms
     this.cleanupInterval = 60 * 60 * 1000; // 1 hour
     
-    this._initializeEventsDir();
+    this.repository = new EventRepository(this.dbPath);
+    this._initialize();
     this._scheduleCleanup();
   }
 
-  // Detect the appropriate events directory based on environment
-  _detectEventsDir() {
-    // Explicit env var takes precedence
-    if (process.env.EVENTS_DIR) {
-      return process.env.EVENTS_DIR;
-    }
-    
-    // Check if running in a container (Linux with /cache directory available)
-    const isContainer = process.platform !== 'win32' && fsSync.existsSync('/cache');
-    
-    if (isContainer) {
-      return '/cache/events';
-    }
-    
-    // Local development - use ./cache/events relative to backend folder
-    return path.join(__dirname, 'cache', 'events');
-  }
-
-  // Initialize events directory
-  async _initializeEventsDir() {
+  // Clean up and report on startup
+  async _initialize() {
     try {
-      await fs.mkdir(this.eventsDir, { recursive: true });
-      console.log(`Events directory initialized at: ${this.eventsDir}`);
+      console.log(`Events database opened at: ${this.dbPath}`);
+
+      // Events saved by the JSON file store before the database are imported once
+      await this._importEventFiles();
       
       // Perform initial cleanup
       await this._cleanup();
@@ -45,7 +56,20 @@ class EventManager {
       const stats = await this.getStats();
       console.log(`Events stats: ${stats.eventCount} active events`);
     } catch (error) {
-      console.error("Failed to initialize events directory:", error.message);
+      console.error("Failed to initialize events database:", error.message);
+    }
+  }
+
+  // Import event files left by the JSON file store. Imported files are renamed, so this
+  // only finds files on the first start after upgrading.
+  async _importEventFiles() {
+    const files = await fs.readdir(this.eventsDir).catch(() => []);
+    if (!files.some(f => f.endsWith('.json'))) return;
+
+    const { imported, skipped, failed } = await importEventFiles(this.repository, this.eventsDir);
+    console.log(`Imported ${imported} events from ${this.eventsDir} (${skipped} already there)`);
+    for (const { file, error } of failed) {
+      console.error(`Failed to import event file ${file}:`, error);
     }
   }
 
@@ -60,11 +84,6 @@ class EventManager {
     }, this.cleanupInterval);
   }
 
-  // Get file path for an event
-  _getFilePath(eventId) {
-    return path.join(this.eventsDir, `${eventId}.json`);
-  }
-
   // Strip sensitive data (creatorToken) from event before returning
   _sanitizeEvent(event) {
     if (!event) return null;
@@ -75,9 +94,7 @@ class EventManager {
   // Get statistics about events
   async getStats() {
     try {
-      const files = await fs.readdir(this.eventsDir);
-      const eventCount = files.filter(f => f.endsWith('.json')).length;
-      return { eventCount };
+      return { eventCount: this.repository.count() };
     } catch (error) {
       return { eventCount: 0 };
     }
@@ -91,6 +108,8 @@ class EventManager {
     const event = {
       id,
       createdBy: eventData.createdBy,
+      // Everyone whose collection the event was created from (a game group has several)
+      usernames: eventData.usernames || [eventData.createdBy],
       createdAt: new Date().toISOString(),
       creatorToken, // Stored in event, but only returned on create
       name: eventData.name || "Game Night",
@@ -100,8 +119,7 @@ class EventManager {
       votes: {}
     };
 
-    const filePath = this._getFilePath(id);
-    await fs.writeFile(filePath, JSON.stringify(event, null, 2));
+    this.repository.insert(event);
     console.log(`Event created: ${id} by ${event.createdBy}`);
     
     return event;
@@ -119,14 +137,7 @@ class EventManager {
   // Get an event by ID (internal use - includes creatorToken)
   async get(eventId) {
     try {
-      const filePath = this._getFilePath(eventId);
-      
-      if (!fsSync.existsSync(filePath)) {
-        return null;
-      }
-      
-      const content = await fs.readFile(filePath, 'utf-8');
-      return JSON.parse(content);
+      return this.repository.get(eventId);
     } catch (error) {
       console.error(`Failed to get event ${eventId}:`, error.message);
       return null;
@@ -139,17 +150,14 @@ class EventManager {
     return this._sanitizeEvent(event);
   }
 
-  // Update an event
+  // Update an event's name, scenario or showResultsToVoters
+  // (games and votes change through addGame, removeGame and vote)
   async update(eventId, updates) {
     try {
-      const event = await this.get(eventId);
-      if (!event) {
+      const updatedEvent = this.repository.update(eventId, updates);
+      if (!updatedEvent) {
         return null;
       }
-
-      const updatedEvent = { ...event, ...updates };
-      const filePath = this._getFilePath(eventId);
-      await fs.writeFile(filePath, JSON.stringify(updatedEvent, null, 2));
       
       console.log(`Event updated: ${eventId}`);
       return updatedEvent;
@@ -162,13 +170,10 @@ class EventManager {
   // Delete an event
   async delete(eventId) {
     try {
-      const filePath = this._getFilePath(eventId);
-      
-      if (!fsSync.existsSync(filePath)) {
+      if (!this.repository.delete(eventId)) {
         return false;
       }
       
-      await fs.unlink(filePath);
       console.log(`Event deleted: ${eventId}`);
       return true;
     } catch (error) {
@@ -177,96 +182,64 @@ class EventManager {
     }
   }
 
-  // List all events created by a user (strips creatorToken)
+  // List all events created by a user, newest first (strips creatorToken)
   async listByUser(username) {
     try {
-      const files = await fs.readdir(this.eventsDir);
-      const events = [];
-
-      for (const file of files) {
-        if (!file.endsWith('.json')) continue;
-        
-        const filePath = path.join(this.eventsDir, file);
-        try {
-          const content = await fs.readFile(filePath, 'utf-8');
-          const event = JSON.parse(content);
-          
-          if (event.createdBy === username) {
-            // Strip creatorToken before returning
-            events.push(this._sanitizeEvent(event));
-          }
-        } catch (error) {
-          // Skip corrupted files
-          continue;
-        }
-      }
-
-      // Sort by creation date, newest first
-      events.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-      
-      return events;
+      return this.repository.listByCreator(username).map(event => this._sanitizeEvent(event));
     } catch (error) {
       console.error(`Failed to list events for ${username}:`, error.message);
       return [];
     }
   }
 
+  // List events created since a date (a Date or ISO string), newest first
+  async listCreatedSince(since) {
+    try {
+      const events = this.repository.listCreatedSince(new Date(since).toISOString());
+      return events.map(event => this._sanitizeEvent(event));
+    } catch (error) {
+      console.error("Failed to list recent events:", error.message);
+      return [];
+    }
+  }
+
   // Add a game to an event
   async addGame(eventId, game) {
-    const event = await this.get(eventId);
-    if (!event) {
+    try {
+      return this.repository.addGame(eventId, {
+        id: game.id,
+        name: game.name,
+        thumbnail: game.thumbnail,
+        weight: game.weight,
+        playingTime: game.playingTime,
+        minPlayers: game.minPlayers,
+        maxPlayers: game.maxPlayers
+      });
+    } catch (error) {
+      console.error(`Failed to add game to event ${eventId}:`, error.message);
       return null;
     }
-
-    // Check if game already exists
-    if (event.games.some(g => g.id === game.id)) {
-      return event; // Already exists, return as-is
-    }
-
-    event.games.push({
-      id: game.id,
-      name: game.name,
-      thumbnail: game.thumbnail,
-      weight: game.weight,
-      playingTime: game.playingTime,
-      minPlayers: game.minPlayers,
-      maxPlayers: game.maxPlayers
-    });
-
-    return await this.update(eventId, { games: event.games });
   }
 
-  // Remove a game from an event
+  // Remove a game from an event, and from any votes
   async removeGame(eventId, gameId) {
-    const event = await this.get(eventId);
-    if (!event) {
+    try {
+      return this.repository.removeGame(eventId, gameId);
+    } catch (error) {
+      console.error(`Failed to remove game from event ${eventId}:`, error.message);
       return null;
     }
-
-    event.games = event.games.filter(g => g.id !== gameId);
-    
-    // Also remove this game from any votes
-    for (const fingerprint of Object.keys(event.votes)) {
-      event.votes[fingerprint] = event.votes[fingerprint].filter(id => id !== gameId);
-    }
-
-    return await this.update(eventId, { games: event.games, votes: event.votes });
   }
 
-  // Submit a vote for an event
+  // Submit a vote for an event. Each voter's ballot is stored on its own, so concurrent
+  // votes don't overwrite each other; game IDs not in the event are dropped.
   async vote(eventId, fingerprint, rankedGameIds) {
-    const event = await this.get(eventId);
-    if (!event) {
+    try {
+      return this.repository.vote(eventId, fingerprint, rankedGameIds);
+    } catch (error) {
+      console.error(`Failed to vote on event ${eventId}:`, error.message);
       return null;
     }
-
-    // Validate that all game IDs are valid
-    const validGameIds = event.games.map(g => g.id);
-    const validRanking = rankedGameIds.filter(id => validGameIds.includes(id));
-
-    event.votes[fingerprint] = validRanking;
-    
-    return await this.update(eventId, { votes: event.votes });
   }
 
   // Calculate Borda count scores for an event
@@ -303,32 +276,10 @@ class EventManager {
   // Cleanup old events
   async _cleanup() {
     try {
-      const files = await fs.readdir(this.eventsDir);
-      let deletedCount = 0;
-      const now = Date.now();
-
-      for (const file of files) {
-        if (!file.endsWith('.json')) continue;
-        
-        const filePath = path.join(this.eventsDir, file);
-        try {
-          const content = await fs.readFile(filePath, 'utf-8');
-          const event = JSON.parse(content);
-          const eventAge = now - new Date(event.createdAt).getTime();
-          
-          if (eventAge > this.maxEventAge) {
-            await fs.unlink(filePath);
-            deletedCount++;
-          }
-        } catch (error) {
-          // Delete corrupted files
-          await fs.unlink(filePath);
-          deletedCount++;
-        }
-      }
+      const deletedCount = this.repository.deleteCreatedBefore(new Date(Date.now() - this.maxEventAge).toISOString());
 
       if (deletedCount > 0) {
-        console.log(`Event cleanup: deleted ${deletedCount} old/corrupted events`);
+        console.log(`Event cleanup: deleted ${deletedCount} old events`);
       }
 
       return deletedCount;
@@ -339,5 +290,8 @@ class EventManager {
   }
 }
 
+EventManager.detectEventsDir = detectEventsDir;
+EventManager.detectDbPath = detectDbPath;
+
 module.exports = EventManager;
 
@@ -0,0 +1,264 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// Schema migrations, applied in order on open. PRAGMA user_version holds how many have run,
+// so add new steps at the end and never edit one that has shipped.
+const MIGRATIONS = [
+  `
+    CREATE TABLE events (
+      id TEXT PRIMARY KEY,
+      created_by TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      creator_token TEXT NOT NULL,
+      name TEXT NOT NULL,
+      scenario TEXT,
+      show_results_to_voters INTEGER NOT NULL DEFAULT 1
+    );
+    CREATE INDEX events_created_by ON events (created_by, created_at);
+    CREATE INDEX events_created_at ON events (created_at);
+
+    CREATE TABLE event_games (
+      event_id TEXT NOT NULL REFERENCES events (id) ON DELETE CASCADE,
+      game_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (event_id, game_id)
+    );
+
+    CREATE TABLE ballots (
+      event_id TEXT NOT NULL REFERENCES events (id) ON DELETE CASCADE,
+      fingerprint TEXT NOT NULL,
+      ranking TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (event_id, fingerprint)
+    );
+  `,
+  // Every username of the collection the event was created from (a game group has several);
+  // NULL for events created before, which only know their creator
+  `
+    ALTER TABLE events ADD COLUMN usernames TEXT;
+  `
+];
+
+// Events in a SQLite database. Games and ballots have their own rows, so a vote writes only
+// the voter's ballot and two voters submitting at once can't overwrite each other.
+// Methods are synchronous and return events in the shape the API uses
+// ({ ..., games: [...], votes: { fingerprint: [gameIds] } }).
+class EventRepository {
+  constructor(dbPath) {
+    if (dbPath !== ":memory:") {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    this.dbPath = dbPath;
+    this.db = new Database(dbPath);
+    // WAL lets readers continue while a ballot is written
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+    // Another process holding the write lock is waited for instead of failing right away
+    this.db.pragma("busy_timeout = 5000");
+
+    this._migrate();
+    this._prepare();
+  }
+
+  _migrate() {
+    const version = this.db.pragma("user_version", { simple: true });
+
+    MIGRATIONS.slice(version).forEach((sql, i) => {
+      this.db.transaction(() => {
+        this.db.exec(sql);
+        this.db.pragma(`user_version = ${version + i + 1}`);
+      })();
+    });
+  }
+
+  _prepare() {
+    this.statements = {
+      insertEvent: this.db.prepare(`
+        INSERT OR IGNORE INTO events (id, created_by, usernames, created_at, creator_token, name, scenario, show_results_to_voters)
+        VALUES (@id, @createdBy, @usernames, @createdAt, @creatorToken, @name, @scenario, @showResultsToVoters)
+      `),
+      getEvent: this.db.prepare("SELECT * FROM events WHERE id = ?"),
+      updateEvent: this.db.prepare(`
+        UPDATE events SET name = @name, scenario = @scenario, show_results_to_voters = @showResultsToVoters
+        WHERE id = @id
+      `),
+      deleteEvent: this.db.prepare("DELETE FROM events WHERE id = ?"),
+      listByCreator: this.db.prepare("SELECT * FROM events WHERE created_by = ? ORDER BY created_at DESC"),
+      listCreatedSince: this.db.prepare("SELECT * FROM events WHERE created_at >= ? ORDER BY created_at DESC"),
+      deleteCreatedBefore: this.db.prepare("DELETE FROM events WHERE created_at < ?"),
+      count: this.db.prepare("SELECT COUNT(*) AS eventCount FROM events"),
+
+      getGames: this.db.prepare("SELECT data FROM event_games WHERE event_id = ? ORDER BY position"),
+      insertGame: this.db.prepare(`
+        INSERT OR IGNORE INTO event_games (event_id, game_id, position, data)
+        VALUES (@eventId, @gameId, (SELECT COALESCE(MAX(position), -1) + 1 FROM event_games WHERE event_id = @eventId), @data)
+      `),
+      deleteGame: this.db.prepare("DELETE FROM event_games WHERE event_id = ? AND game_id = ?"),
+      getGameIds: this.db.prepare("SELECT game_id FROM event_games WHERE event_id = ?").pluck(),
+
+      getBallots: this.db.prepare("SELECT fingerprint, ranking FROM ballots WHERE event_id = ? ORDER BY updated_at"),
+      upsertBallot: this.db.prepare(`
+        INSERT INTO ballots (event_id, fingerprint, ranking, updated_at)
+        VALUES (@eventId, @fingerprint, @ranking, @updatedAt)
+        ON CONFLICT (event_id, fingerprint) DO UPDATE SET ranking = excluded.ranking, updated_at = excluded.updated_at
+      `),
+      updateRanking: this.db.prepare("UPDATE ballots SET ranking = ? WHERE event_id = ? AND fingerprint = ?")
+    };
+
+    // Reads go through a transaction too, so an event is never put together from rows of two writes
+    this._getEvent = this.db.transaction(id => {
+      const row = this.statements.getEvent.get(id);
+      return row ? this._toEvent(row) : null;
+    });
+    this._listEvents = this.db.transaction((statement, param) =>
+      statement.all(param).map(row => this._toEvent(row))
+    );
+  }
+
+  _toEvent(row) {
+    const votes = {};
+    for (const ballot of this.statements.getBallots.all(row.id)) {
+      votes[ballot.fingerprint] = JSON.parse(ballot.ranking);
+    }
+
+    return {
+      id: row.id,
+      createdBy: row.created_by,
+      usernames: row.usernames === null ? [row.created_by] : JSON.parse(row.usernames),
+      createdAt: row.created_at,
+      creatorToken: row.creator_token,
+      name: row.name,
+      scenario: row.scenario === null ? null : JSON.parse(row.scenario),
+      showResultsToVoters: row.show_results_to_voters === 1,
+      games: this.statements.getGames.all(row.id).map(game => JSON.parse(game.data)),
+      votes
+    };
+  }
+
+  _eventParams(event) {
+    return {
+      id: event.id,
+      createdBy: event.createdBy,
+      usernames: JSON.stringify(event.usernames || [event.createdBy]),
+      createdAt: event.createdAt,
+      creatorToken: event.creatorToken,
+      name: event.name,
+      scenario: event.scenario == null ? null : JSON.stringify(event.scenario),
+      showResultsToVoters: event.showResultsToVoters === false ? 0 : 1
+    };
+  }
+
+  // Insert an event with its games and ballots. Returns false if the id is already taken.
+  insert(event) {
+    return this.db.transaction(() => {
+      if (this.statements.insertEvent.run(this._eventParams(event)).changes === 0) {
+        return false;
+      }
+
+      for (const game of event.games || []) {
+        this.statements.insertGame.run({ eventId: event.id, gameId: game.id, data: JSON.stringify(game) });
+      }
+      for (const [fingerprint, ranking] of Object.entries(event.votes || {})) {
+        this.statements.upsertBallot.run({
+          eventId: event.id,
+          fingerprint,
+          ranking: JSON.stringify(ranking),
+          updatedAt: event.createdAt
+        });
+      }
+      return true;
+    })();
+  }
+
+  get(id) {
+    return this._getEvent(id);
+  }
+
+  // Update the event's own fields (name, scenario, showResultsToVoters)
+  update(id, updates) {
+    return this.db.transaction(() => {
+      const event = this._getEvent(id);
+      if (!event) return null;
+
+      const updated = { ...event, ...updates, games: event.games, votes: event.votes };
+      this.statements.updateEvent.run(this._eventParams(updated));
+      return updated;
+    })();
+  }
+
+  // Delete an event with its games and ballots
+  delete(id) {
+    return this.statements.deleteEvent.run(id).changes > 0;
+  }
+
+  // Events created by a user, newest first
+  listByCreator(username) {
+    return this._listEvents(this.statements.listByCreator, username);
+  }
+
+  // Events created at or after an ISO timestamp, newest first
+  listCreatedSince(since) {
+    return this._listEvents(this.statements.listCreatedSince, since);
+  }
+
+  // Add a game to the end of an event's list; a game already in the event is left as is
+  addGame(id, game) {
+    return this.db.transaction(() => {
+      if (!this.statements.getEvent.get(id)) return null;
+
+      this.statements.insertGame.run({ eventId: id, gameId: game.id, data: JSON.stringify(game) });
+      return this._getEvent(id);
+    })();
+  }
+
+  // Remove a game from an event and from every ballot that ranks it
+  removeGame(id, gameId) {
+    return this.db.transaction(() => {
+      if (!this.statements.getEvent.get(id)) return null;
+
+      this.statements.deleteGame.run(id, gameId);
+      for (const ballot of this.statements.getBallots.all(id)) {
+        const ranking = JSON.parse(ballot.ranking);
+        if (ranking.includes(gameId)) {
+          this.statements.updateRanking.run(JSON.stringify(ranking.filter(rankedId => rankedId !== gameId)), id, ballot.fingerprint);
+        }
+      }
+      return this._getEvent(id);
+    })();
+  }
+
+  // Store a voter's ranking, keeping only games that are in the event. Checking the games and
+  // writing the ballot happen in one transaction, so a game removed meanwhile isn't ranked.
+  vote(id, fingerprint, rankedGameIds) {
+    return this.db.transaction(() => {
+      if (!this.statements.getEvent.get(id)) return null;
+
+      const validGameIds = new Set(this.statements.getGameIds.all(id));
+      this.statements.upsertBallot.run({
+        eventId: id,
+        fingerprint,
+        ranking: JSON.stringify(rankedGameIds.filter(gameId => validGameIds.has(gameId))),
+        updatedAt: new Date().toISOString()
+      });
+      return this._getEvent(id);
+    })();
+  }
+
+  // Delete events created before an ISO timestamp, returning how many were deleted
+  deleteCreatedBefore(before) {
+    return this.statements.deleteCreatedBefore.run(before).changes;
+  }
+
+  count() {
+    return this.statements.count.get().eventCount;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = EventRepository;
@@ -0,0 +1,141 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const EventRepository = require("./eventRepository");
+const { importEventFiles } = require("./importEvents");
+
+const event = (id, createdBy, createdAt, extra = {}) => ({
+  id,
+  createdBy,
+  createdAt,
+  creatorToken: `${id}-token`,
+  name: "Game Night",
+  scenario: null,
+  showResultsToVoters: true,
+  games: [],
+  votes: {},
+  ...extra
+});
+
+const game = id => ({ id, name: `Game ${id}`, thumbnail: null, weight: 2, playingTime: 60, minPlayers: 2, maxPlayers: 4 });
+
+describe("EventRepository", () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = new EventRepository(":memory:");
+  });
+
+  afterEach(() => {
+    repository.close();
+  });
+
+  it("stores events with their games and votes", () => {
+    const scenario = { players: 4, mood: "chill" };
+    repository.insert(event("e1", "demo", "2024-03-01T18:00:00.000Z", { scenario, showResultsToVoters: false }));
+    repository.addGame("e1", game("13"));
+    repository.addGame("e1", game("822"));
+    repository.addGame("e1", game("13"));
+    repository.vote("e1", "voter-a", ["822", "13"]);
+
+    const stored = repository.get("e1");
+    assert.deepEqual(stored.scenario, scenario);
+    assert.equal(stored.showResultsToVoters, false);
+    assert.deepEqual(stored.games.map(g => g.id), ["13", "822"]);
+    assert.deepEqual(stored.votes, { "voter-a": ["822", "13"] });
+    assert.equal(repository.get("missing"), null);
+  });
+
+  it("keeps every voter's ballot", () => {
+    repository.insert(event("e1", "demo", "2024-03-01T18:00:00.000Z"));
+    repository.addGame("e1", game("13"));
+    repository.addGame("e1", game("822"));
+
+    repository.vote("e1", "voter-a", ["13", "822"]);
+    repository.vote("e1", "voter-b", ["822", "999"]);
+    repository.vote("e1", "voter-a", ["822"]);
+
+    assert.deepEqual(repository.get("e1").votes, { "voter-a": ["822"], "voter-b": ["822"] });
+    assert.equal(repository.vote("missing", "voter-a", ["13"]), null);
+  });
+
+  it("removes a game from ballots along with the event", () => {
+    repository.insert(event("e1", "demo", "2024-03-01T18:00:00.000Z"));
+    repository.addGame("e1", game("13"));
+    repository.addGame("e1", game("822"));
+    repository.vote("e1", "voter-a", ["13", "822"]);
+
+    const updated = repository.removeGame("e1", "13");
+
+    assert.deepEqual(updated.games.map(g => g.id), ["822"]);
+    assert.deepEqual(updated.votes, { "voter-a": ["822"] });
+  });
+
+  it("lists events by creator and by creation date, newest first", () => {
+    repository.insert(event("e1", "demo", "2024-03-01T18:00:00.000Z"));
+    repository.insert(event("e2", "other", "2024-03-02T18:00:00.000Z"));
+    repository.insert(event("e3", "demo", "2024-03-03T18:00:00.000Z"));
+
+    assert.deepEqual(repository.listByCreator("demo").map(e => e.id), ["e3", "e1"]);
+    assert.deepEqual(repository.listCreatedSince("2024-03-02T00:00:00.000Z").map(e => e.id), ["e3", "e2"]);
+  });
+
+  it("deletes old events with their games and ballots", () => {
+    repository.insert(event("e1", "demo", "2024-01-01T18:00:00.000Z"));
+    repository.insert(event("e2", "demo", "2024-03-01T18:00:00.000Z"));
+    repository.addGame("e1", game("13"));
+    repository.vote("e1", "voter-a", ["13"]);
+
+    assert.equal(repository.deleteCreatedBefore("2024-02-01T00:00:00.000Z"), 1);
+    assert.equal(repository.count(), 1);
+    assert.equal(repository.db.prepare("SELECT COUNT(*) AS n FROM ballots").get().n, 0);
+    assert.equal(repository.delete("e2"), true);
+    assert.equal(repository.delete("e2"), false);
+  });
+
+  it("keeps every username of the event, falling back to its creator", () => {
+    repository.insert(event("e1", "alice", "2024-03-01T18:00:00.000Z", { usernames: ["alice", "bob"] }));
+    repository.insert(event("e2", "carol", "2024-03-01T18:00:00.000Z"));
+
+    assert.deepEqual(repository.get("e1").usernames, ["alice", "bob"]);
+    assert.deepEqual(repository.get("e2").usernames, ["carol"]);
+  });
+
+  it("records the schema version", () => {
+    assert.equal(repository.db.pragma("user_version", { simple: true }), 2);
+  });
+});
+
+describe("importEventFiles", () => {
+  let repository;
+  let eventsDir;
+
+  beforeEach(() => {
+    repository = new EventRepository(":memory:");
+    eventsDir = fs.mkdtempSync(path.join(os.tmpdir(), "events-import-"));
+  });
+
+  afterEach(() => {
+    repository.close();
+    fs.rmSync(eventsDir, { recursive: true, force: true });
+  });
+
+  it("imports JSON event files once", async () => {
+    const saved = event("e1", "demo", "2024-03-01T18:00:00.000Z", { games: [game("13")], votes: { "voter-a": ["13"] } });
+    fs.writeFileSync(path.join(eventsDir, "e1.json"), JSON.stringify(saved, null, 2));
+    fs.writeFileSync(path.join(eventsDir, "broken.json"), "{");
+
+    const summary = await importEventFiles(repository, eventsDir);
+
+    assert.equal(summary.imported, 1);
+    assert.deepEqual(summary.failed.map(f => f.file), ["broken.json"]);
+    assert.deepEqual(repository.get("e1"), { ...saved, usernames: ["demo"] });
+    assert.ok(fs.existsSync(path.join(eventsDir, "e1.json.imported")));
+
+    fs.renameSync(path.join(eventsDir, "e1.json.imported"), path.join(eventsDir, "e1.json"));
+    const again = await importEventFiles(repository, eventsDir);
+    assert.deepEqual({ imported: again.imported, skipped: again.skipped }, { imported: 0, skipped: 1 });
+  });
+});
@@ -0,0 +1,331 @@
+// Normalised game model
+//
+// BGG's XML API is converted once, here, so clients never deal with xml2js shapes
+// ($.value, _, single items vs arrays). Every game served by the collection API looks like:
+//
+// {
+//   id: "174430",                      BGG thing id (string)
+//   type: "boardgame",                 or "boardgameexpansion"
+//   name: "Gloomhaven",                primary name
+//   alternateNames: ["..."],
+//   yearPublished: 2017,               null when unknown
+//   description: "...",
+//   image: "https://...",              null when missing
+//   thumbnail: "https://...",
+//   players: {
+//     min: 1, max: 4,
+//     best: 3,                         count with the most "Best" votes, null without poll data
+//     recommended: [2, 3, 4]           counts where Best + Recommended outvote Not Recommended
+//   },
+//   playingTime: { typical: 120, min: 60, max: 120 },   minutes
+//   minAge: 14,
+//   weight: 3.86,                      community complexity 1-5, null without votes
+//   rating: { average: 8.6, bayesAverage: 8.4, usersRated: 60000 },
+//   rank: 1,                           overall board game rank, null when not ranked
+//   categories: ["Adventure", ...],
+//   mechanics: ["Hand Management", ...],
+//   designers: ["Isaac Childres"],
+//   isExpansion: false,
+//   expansionOf: [{ id, name }],       base games this expansion is for
+//   expansions: [{ id, name }],        expansions for this game
+//   collection: {                      the user's collection entry, null for search results
+//     status: { own, prevOwned, forTrade, want, wantToPlay, wantToBuy, wishlist, preordered },
+//     wishlistPriority: 3,             1 (must have) - 5 (don't buy), null when not wishlisted
+//     numPlays: 12,
+//     rating: 8.5,                     the user's own rating, null when unrated
+//     comment: "...",                  the user's public comment
+//     privateComment: "...",           only present when BGG returns private info for the user
+//     lastModified: "2024-01-31 10:00:00",
+//     condition: "Sleeved, box worn"   local collections only: the owner's condition notes
+//   },
+//   detailsPending: false,             true when the /thing details could not be fetched yet and
+//                                      the game was built from its collection entry only
+//   ownedBy: ["alice", "bob"]          combined group collections only: whose collections include it
+//   collections: { alice: {...} }      combined group collections only: each owner's collection
+//                                      entry (`collection` is null, ratings and notes are personal)
+// }
+//
+// Bump GAME_MODEL_VERSION when this shape changes; cached data built with another
+// version is discarded and rebuilt.
+const GAME_MODEL_VERSION = 3;
+
+// xml2js (explicitArray: false) gives a single object for one child and an array for many
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Read a value from <tag value="..."/>, <tag>text</tag> or a plain string
+function readValue(node) {
+  if (node === undefined || node === null) return null;
+  if (typeof node === "string") return node;
+  if (node.$ && node.$.value !== undefined) return node.$.value;
+  if (node._ !== undefined) return node._;
+  return null;
+}
+
+// Parse a number, treating missing values and BGG's "0" placeholders as unknown
+function readNumber(node, { zeroIsNull = false, float = false } = {}) {
+  const raw = readValue(node);
+  if (raw === null || raw === "") return null;
+
+  const number = float ? parseFloat(raw) : parseInt(raw, 10);
+  if (Number.isNaN(number)) return null;
+  if (zeroIsNull && number === 0) return null;
+  return float ? Math.round(number * 1000) / 1000 : number;
+}
+
+function readString(node) {
+  const value = readValue(node);
+  return typeof value === "string" && value ? value : null;
+}
+
+// Player count poll: the count with most "Best" votes, and every count the community recommends
+function readPlayerPoll(polls) {
+  const poll = toArray(polls).find(p => p.$ && p.$.name === "suggested_numplayers");
+  const best = { count: null, votes: 0 };
+  const recommended = [];
+
+  for (const results of toArray(poll && poll.results)) {
+    // Skip open-ended buckets like "4+"
+    if (!/^\d+$/.test(results.$.numplayers)) continue;
+
+    const count = parseInt(results.$.numplayers, 10);
+    const votes = {};
+    for (const result of toArray(results.result)) {
+      votes[result.$.value] = parseInt(result.$.numvotes, 10) || 0;
+    }
+
+    const bestVotes = votes["Best"] || 0;
+    const recommendedVotes = votes["Recommended"] || 0;
+    const notRecommendedVotes = votes["Not Recommended"] || 0;
+
+    if (bestVotes > best.votes) {
+      best.count = count;
+      best.votes = bestVotes;
+    }
+    if (bestVotes + recommendedVotes > notRecommendedVotes) {
+      recommended.push(count);
+    }
+  }
+
+  return { best: best.count, recommended };
+}
+
+function readNames(names) {
+  const all = toArray(names);
+  const primary = all.find(n => n.$ && n.$.type === "primary") || all[0];
+
+  return {
+    name: readString(primary) || "Unknown Game",
+    alternateNames: all
+      .filter(n => n !== primary)
+      .map(readString)
+      .filter(Boolean)
+  };
+}
+
+function readRank(ranks) {
+  const rank = toArray(ranks && ranks.rank).find(r => r.$ && r.$.name === "boardgame");
+  return rank ? readNumber(rank) : null;
+}
+
+function linksOfType(links, type) {
+  return links.filter(link => link.$.type === type);
+}
+
+// Normalise the collection entry of a /collection item
+function normalizeCollectionEntry(collectionItem) {
+  if (!collectionItem) return null;
+
+  const status = (collectionItem.status && collectionItem.status.$) || {};
+  const flag = (name) => status[name] === "1";
+
+  return {
+    status: {
+      own: flag("own"),
+      prevOwned: flag("prevowned"),
+      forTrade: flag("fortrade"),
+      want: flag("want"),
+      wantToPlay: flag("wanttoplay"),
+      wantToBuy: flag("wanttobuy"),
+      wishlist: flag("wishlist"),
+      preordered: flag("preordered")
+    },
+    wishlistPriority: flag("wishlist") ? parseInt(status.wishlistpriority, 10) || null : null,
+    numPlays: readNumber(collectionItem.numplays) || 0,
+    // Collection items carry the user's rating with stats=1 ("N/A" when unrated)
+    rating: readNumber(collectionItem.stats && collectionItem.stats.rating, { zeroIsNull: true, float: true }),
+    comment: readString(collectionItem.comment),
+    privateComment: readString(collectionItem.privateinfo && collectionItem.privateinfo.privatecomment),
+    lastModified: status.lastmodified || null
+  };
+}
+
+// Normalise a /thing item (with stats=1) without any collection data
+function normalizeThing(detailItem) {
+  const links = toArray(detailItem.link);
+  const ratings = (detailItem.statistics && detailItem.statistics.ratings) || {};
+  const { name, alternateNames } = readNames(detailItem.name);
+  const { best, recommended } = readPlayerPoll(detailItem.poll);
+  const type = detailItem.$.type;
+
+  const expansionLinks = linksOfType(links, "boardgameexpansion");
+  const isExpansion = type === "boardgameexpansion" ||
+    linksOfType(links, "boardgamecategory").some(link => link.$.value === "Expansion for Base-game");
+
+  return {
+    id: String(detailItem.$.id),
+    type,
+    name,
+    alternateNames,
+    yearPublished: readNumber(detailItem.yearpublished, { zeroIsNull: true }),
+    description: readString(detailItem.description),
+    image: readString(detailItem.image),
+    thumbnail: readString(detailItem.thumbnail),
+    players: {
+      min: readNumber(detailItem.minplayers, { zeroIsNull: true }),
+      max: readNumber(detailItem.maxplayers, { zeroIsNull: true }),
+      best,
+      recommended
+    },
+    playingTime: {
+      typical: readNumber(detailItem.playingtime, { zeroIsNull: true }),
+      min: readNumber(detailItem.minplaytime, { zeroIsNull: true }),
+      max: readNumber(detailItem.maxplaytime, { zeroIsNull: true })
+    },
+    minAge: readNumber(detailItem.minage, { zeroIsNull: true }),
+    weight: readNumber(ratings.averageweight, { zeroIsNull: true, float: true }),
+    rating: {
+      average: readNumber(ratings.average, { zeroIsNull: true, float: true }),
+      bayesAverage: readNumber(ratings.bayesaverage, { zeroIsNull: true, float: true }),
+      usersRated: readNumber(ratings.usersrated) || 0
+    },
+    rank: readRank(ratings.ranks),
+    categories: linksOfType(links, "boardgamecategory").map(link => link.$.value),
+    mechanics: linksOfType(links, "boardgamemechanic").map(link => link.$.value),
+    designers: linksOfType(links, "boardgamedesigner").map(link => link.$.value),
+    isExpansion,
+    // On an expansion, inbound expansion links point at its base games
+    expansionOf: expansionLinks
+      .filter(link => link.$.inbound === "true")
+      .map(link => ({ id: link.$.id, name: link.$.value })),
+    expansions: expansionLinks
+      .filter(link => link.$.inbound !== "true")
+      .map(link => ({ id: link.$.id, name: link.$.value }))
+  };
+}
+
+// Build a game from only a /collection item, used when the /thing details are unavailable
+function normalizeCollectionItem(collectionItem) {
+  const subtype = collectionItem.$.subtype;
+
+  return {
+    id: String(collectionItem.$.objectid),
+    type: subtype,
+    name: readString(collectionItem.name) || "Unknown Game",
+    alternateNames: [],
+    yearPublished: readNumber(collectionItem.yearpublished, { zeroIsNull: true }),
+    description: null,
+    image: readString(collectionItem.image),
+    thumbnail: readString(collectionItem.thumbnail),
+    players: { min: null, max: null, best: null, recommended: [] },
+    playingTime: { typical: null, min: null, max: null },
+    minAge: null,
+    weight: null,
+    rating: { average: null, bayesAverage: null, usersRated: 0 },
+    rank: null,
+    categories: [],
+    mechanics: [],
+    designers: [],
+    isExpansion: subtype === "boardgameexpansion",
+    expansionOf: [],
+    expansions: [],
+    collection: normalizeCollectionEntry(collectionItem),
+    detailsPending: true
+  };
+}
+
+// Combine normalised thing details with the user's collection entry
+function withCollection(thing, collectionItem) {
+  return { ...thing, collection: normalizeCollectionEntry(collectionItem), detailsPending: false };
+}
+
+// Collection entry for a game in a local collection (see localCollectionManager.js):
+// always owned, with the owner's condition notes instead of BGG ratings and comments
+function localCollectionEntry(localGame) {
+  return {
+    status: {
+      own: true,
+      prevOwned: false,
+      forTrade: false,
+      want: false,
+      wantToPlay: false,
+      wantToBuy: false,
+      wishlist: false,
+      preordered: false
+    },
+    wishlistPriority: null,
+    numPlays: 0,
+    rating: null,
+    comment: null,
+    lastModified: localGame.updatedAt || localGame.addedAt || null,
+    condition: localGame.condition || null
+  };
+}
+
+// Combine normalised thing details with a local collection entry. Without details
+// (`thing` is null) the game is built from the name stored in the local collection.
+function withLocalCollection(thing, localGame) {
+  if (thing) {
+    return { ...thing, collection: localCollectionEntry(localGame), detailsPending: false };
+  }
+
+  return {
+    ...normalizeCollectionItem({ $: { objectid: localGame.id, subtype: "boardgame" }, name: localGame.name }),
+    collection: localCollectionEntry(localGame),
+    detailsPending: true
+  };
+}
+
+// Whether a game's collection entry differs from a fresh /collection item
+// (re-rated, plays logged, status or comments changed)
+function collectionEntryChanged(game, collectionItem) {
+  return JSON.stringify(game.collection) !== JSON.stringify(normalizeCollectionEntry(collectionItem));
+}
+
+// Merge several users' collections into one library, de-duplicated by game id.
+// `collections` is a list of { username, games }. Each owner's collection entry is kept in
+// `collections` by username; the merged game's own `collection` is null.
+function mergeCollections(collections) {
+  const merged = new Map();
+
+  for (const { username, games } of collections) {
+    for (const game of games) {
+      const existing = merged.get(game.id);
+      if (existing) {
+        if (!existing.ownedBy.includes(username)) {
+          existing.ownedBy.push(username);
+          existing.collections[username] = game.collection;
+        }
+      } else {
+        merged.set(game.id, { ...game, collection: null, collections: { [username]: game.collection }, ownedBy: [username] });
+      }
+    }
+  }
+
+  return [...merged.values()];
+}
+
+module.exports = {
+  GAME_MODEL_VERSION,
+  toArray,
+  normalizeThing,
+  normalizeCollectionItem,
+  normalizeCollectionEntry,
+  withCollection,
+  collectionEntryChanged,
+  localCollectionEntry,
+  withLocalCollection,
+  mergeCollections
+};
@@ -0,0 +1,32 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeCollections } = require("./gameModel");
+const { getPlayCount } = require("./collectionFilters");
+
+const owned = (id, collection) => ({ id, name: `Game ${id}`, collection });
+
+describe("mergeCollections", () => {
+  it("keeps every owner's collection entry", () => {
+    const [game] = mergeCollections([
+      { username: "alice", games: [owned("13", { rating: 9, comment: "Classic", numPlays: 4 })] },
+      { username: "bob", games: [owned("13", { rating: 5, comment: null, numPlays: 2 })] }
+    ]);
+
+    assert.deepEqual(game.ownedBy, ["alice", "bob"]);
+    assert.equal(game.collection, null);
+    assert.deepEqual(game.collections, {
+      alice: { rating: 9, comment: "Classic", numPlays: 4 },
+      bob: { rating: 5, comment: null, numPlays: 2 }
+    });
+    assert.equal(getPlayCount(game, {}), 6);
+  });
+
+  it("lists games owned by one member once", () => {
+    const games = mergeCollections([
+      { username: "alice", games: [owned("13", { numPlays: 1 }), owned("822", { numPlays: 0 })] },
+      { username: "bob", games: [owned("13", { numPlays: 1 })] }
+    ]);
+
+    assert.deepEqual(games.map(game => [game.id, game.ownedBy]), [["13", ["alice", "bob"]], ["822", ["alice"]]]);
+  });
+});
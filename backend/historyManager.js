@@ -0,0 +1,194 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+
+// Keeps a compact history of collection changes per user, one JSON file per user:
+//
+// {
+//   username: "alice",
+//   entries: [
+//     {
+//       at: "2024-01-31T10:00:00.000Z",
+//       status: "owned",                 collection view the change was seen in
+//       initial: true,                   first import: `added` is the whole collection
+//       added: [{ id, name, status: ["own", "forTrade"] }],
+//       removed: [{ id, name }],
+//       statusChanged: [{ id, name, from: ["own"], to: ["own", "forTrade"] }]
+//     }
+//   ]
+// }
+//
+// The current state of a view is rebuilt by replaying its entries, so a collection that
+// drops out of the cache is diffed against what was last seen rather than recorded again.
+class HistoryManager {
+  constructor() {
+    // Use same environment detection as CacheManager
+    this.historyDir = this._detectHistoryDir();
+    // Writes per history file are chained so concurrent refreshes don't lose entries
+    this.writeQueues = new Map();
+
+    this._initializeHistoryDir();
+  }
+
+  // Detect the appropriate history directory based on environment
+  _detectHistoryDir() {
+    // Explicit env var takes precedence
+    if (process.env.HISTORY_DIR) {
+      return process.env.HISTORY_DIR;
+    }
+
+    // Check if running in a container (Linux with /cache directory available)
+    const isContainer = process.platform !== 'win32' && fsSync.existsSync('/cache');
+
+    if (isContainer) {
+      return '/cache/history';
+    }
+
+    // Local development - use ./cache/history relative to backend folder
+    return path.join(__dirname, 'cache', 'history');
+  }
+
+  // Initialize history directory
+  async _initializeHistoryDir() {
+    try {
+      await fs.mkdir(this.historyDir, { recursive: true });
+      console.log(`History directory initialized at: ${this.historyDir}`);
+    } catch (error) {
+      console.error("Failed to initialize history directory:", error.message);
+    }
+  }
+
+  // Get file path for a user's history (BGG usernames are case-insensitive)
+  _getFilePath(username) {
+    const sanitizedUsername = username.toLowerCase().replace(/[^a-z0-9_-]/g, '_');
+    return path.join(this.historyDir, `${sanitizedUsername}.json`);
+  }
+
+  // Active collection status flags of a game, e.g. ["own", "forTrade"]
+  _statusList(game) {
+    const status = (game.collection && game.collection.status) || {};
+    return Object.keys(status).filter(flag => status[flag]);
+  }
+
+  // Rebuild the games last seen in a collection view: id -> { name, status }
+  _replay(entries, status) {
+    const state = new Map();
+
+    for (const entry of entries) {
+      if (entry.status !== status) continue;
+
+      for (const game of entry.added) {
+        state.set(game.id, { name: game.name, status: game.status });
+      }
+      for (const game of entry.removed) {
+        state.delete(game.id);
+      }
+      for (const change of entry.statusChanged) {
+        const game = state.get(change.id);
+        if (game) game.status = change.to;
+      }
+    }
+
+    return state;
+  }
+
+  // Get a user's full history
+  async get(username) {
+    try {
+      const filePath = this._getFilePath(username);
+
+      if (!fsSync.existsSync(filePath)) {
+        return { username, entries: [] };
+      }
+
+      const content = await fs.readFile(filePath, 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      console.error(`Failed to get history for ${username}:`, error.message);
+      return { username, entries: [] };
+    }
+  }
+
+  // Record the current games of a collection view, appending an entry when anything
+  // was added, removed or changed status since the last recorded state
+  async record(username, status, games) {
+    // Keyed by file, so differently cased names of one user share a queue
+    const key = this._getFilePath(username);
+    const previousWrite = this.writeQueues.get(key) || Promise.resolve();
+    const write = previousWrite
+      .catch(() => {})
+      .then(() => this._record(username, status, games));
+
+    this.writeQueues.set(key, write);
+    try {
+      return await write;
+    } finally {
+      if (this.writeQueues.get(key) === write) {
+        this.writeQueues.delete(key);
+      }
+    }
+  }
+
+  async _record(username, status, games) {
+    const history = await this.get(username);
+    const initial = !history.entries.some(entry => entry.status === status);
+    const previous = this._replay(history.entries, status);
+
+    const added = [];
+    const statusChanged = [];
+    const currentIds = new Set();
+
+    for (const game of games) {
+      currentIds.add(game.id);
+      const gameStatus = this._statusList(game);
+      const seen = previous.get(game.id);
+
+      if (!seen) {
+        added.push({ id: game.id, name: game.name, status: gameStatus });
+      } else if (seen.status.join(",") !== gameStatus.join(",")) {
+        statusChanged.push({ id: game.id, name: game.name, from: seen.status, to: gameStatus });
+      }
+    }
+
+    const removed = [...previous]
+      .filter(([id]) => !currentIds.has(id))
+      .map(([id, game]) => ({ id, name: game.name }));
+
+    if (added.length === 0 && removed.length === 0 && statusChanged.length === 0) {
+      return null;
+    }
+
+    const entry = { at: new Date().toISOString(), status, added, removed, statusChanged };
+    if (initial) entry.initial = true;
+
+    history.entries.push(entry);
+    await fs.writeFile(this._getFilePath(username), JSON.stringify(history, null, 2));
+    console.log(`History recorded for ${username} (${status}): +${added.length} -${removed.length} ~${statusChanged.length}`);
+
+    return entry;
+  }
+
+  // Get a user's history entries, optionally limited to a collection view and date range
+  async query(username, { status = null, from = null, to = null } = {}) {
+    const history = await this.get(username);
+
+    return history.entries.filter(entry => {
+      if (status && entry.status !== status) return false;
+      if (from && new Date(entry.at) < from) return false;
+      if (to && new Date(entry.at) > to) return false;
+      return true;
+    });
+  }
+
+  // Get statistics about stored histories
+  async getStats() {
+    try {
+      const files = await fs.readdir(this.historyDir);
+      return { userCount: files.filter(f => f.endsWith('.json')).length };
+    } catch (error) {
+      return { userCount: 0 };
+    }
+  }
+}
+
+module.exports = HistoryManager;
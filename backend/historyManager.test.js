@@ -0,0 +1,39 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const HistoryManager = require("./historyManager");
+
+const owned = (id) => ({ id, name: `Game ${id}`, collection: { status: { own: true } } });
+
+describe("HistoryManager", () => {
+  let historyDir;
+  let history;
+
+  before(() => {
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+    process.env.HISTORY_DIR = historyDir;
+    history = new HistoryManager();
+    delete process.env.HISTORY_DIR;
+  });
+
+  after(() => {
+    fs.rmSync(historyDir, { recursive: true, force: true });
+  });
+
+  it("keeps entries recorded at once under differently cased usernames", async () => {
+    await Promise.all([
+      history.record("Alice", "owned", [owned("13")]),
+      history.record("alice", "wishlist", [owned("822")]),
+      history.record("ALICE", "owned", [owned("13"), owned("30549")])
+    ]);
+
+    const { entries } = await history.get("alice");
+    assert.deepEqual(entries.map(entry => [entry.status, entry.added.map(game => game.id)]), [
+      ["owned", ["13"]],
+      ["wishlist", ["822"]],
+      ["owned", ["30549"]]
+    ]);
+  });
+});
@@ -0,0 +1,58 @@
+const fs = require("fs").promises;
+const path = require("path");
+const EventRepository = require("./eventRepository");
+
+// One-shot import of the JSON file store (one <id>.json per event) into the events database.
+// The backend runs it on startup; it can also be run by hand:
+//   npm run import-events [-- <events dir>]
+// Events already in the database are left as they are. Each imported file is renamed to
+// <id>.json.imported, so running it again only picks up what's left.
+async function importEventFiles(repository, eventsDir) {
+  const summary = { imported: 0, skipped: 0, failed: [] };
+  const files = (await fs.readdir(eventsDir)).filter(file => file.endsWith(".json"));
+
+  for (const file of files) {
+    const filePath = path.join(eventsDir, file);
+    try {
+      const event = JSON.parse(await fs.readFile(filePath, "utf-8"));
+      if (!event.id || !event.createdBy || !event.createdAt || !event.creatorToken) {
+        throw new Error("not an event");
+      }
+
+      if (repository.insert(event)) {
+        summary.imported++;
+      } else {
+        summary.skipped++;
+      }
+      await fs.rename(filePath, `${filePath}.imported`);
+    } catch (error) {
+      summary.failed.push({ file, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = { importEventFiles };
+
+if (require.main === module) {
+  // Required here and after the exports: the event manager itself imports this module
+  const EventManager = require("./eventManager");
+  const eventsDir = process.argv[2] || EventManager.detectEventsDir();
+  const dbPath = EventManager.detectDbPath(eventsDir);
+  const repository = new EventRepository(dbPath);
+
+  importEventFiles(repository, eventsDir)
+    .then(({ imported, skipped, failed }) => {
+      console.log(`Imported ${imported} events from ${eventsDir} into ${dbPath} (${skipped} already there)`);
+      for (const { file, error } of failed) {
+        console.error(`Failed to import ${file}: ${error}`);
+      }
+      process.exitCode = failed.length > 0 ? 1 : 0;
+    })
+    .catch(error => {
+      console.error("Event import failed:", error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => repository.close());
+}
@@ -0,0 +1,195 @@
+const { EventEmitter } = require("events");
+const { nanoid } = require("nanoid");
+
+class JobManager {
+  constructor() {
+    this.jobs = new Map();
+    this.finishedJobTTL = 60 * 60 * 1000; // Keep finished jobs around for 1 hour
+    this.cleanupInterval = 10 * 60 * 1000; // 10 minutes
+
+    this._scheduleCleanup();
+  }
+
+  // Schedule periodic removal of finished jobs
+  _scheduleCleanup() {
+    setInterval(() => {
+      try {
+        this._cleanup();
+      } catch (error) {
+        console.error("Scheduled job cleanup failed:", error.message);
+      }
+    }, this.cleanupInterval);
+  }
+
+  // Create a new job in the queued state. A `key` (e.g. the collection being imported)
+  // lets later callers find the job with findActive and attach to it.
+  create(type, params = {}, { key = null } = {}) {
+    const job = {
+      id: nanoid(10),
+      type,
+      key,
+      params,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      progress: {},
+      games: [], // Partial results, so late subscribers can catch up
+      result: null,
+      error: null,
+      emitter: new EventEmitter()
+    };
+
+    // Every SSE client adds a listener, don't warn on busy jobs
+    job.emitter.setMaxListeners(0);
+
+    this.jobs.set(job.id, job);
+    console.log(`Job created: ${job.id} (${type})`);
+    return job;
+  }
+
+  // Get a job by ID
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // Run a job. The runner receives a reporter used to publish progress and partial games.
+  run(job, runner) {
+    job.status = "running";
+    job.updatedAt = new Date().toISOString();
+
+    const reporter = {
+      progress: (progress) => {
+        job.progress = { ...job.progress, ...progress };
+        job.updatedAt = new Date().toISOString();
+        job.emitter.emit("progress", job.progress);
+      },
+      games: (games) => {
+        job.games.push(...games);
+        job.emitter.emit("games", games);
+      }
+    };
+
+    Promise.resolve()
+      .then(() => runner(reporter))
+      .then(result => {
+        job.status = "completed";
+        job.result = result;
+        job.updatedAt = new Date().toISOString();
+        console.log(`Job completed: ${job.id}`);
+        job.emitter.emit("complete", result);
+      })
+      .catch(error => {
+        job.status = "failed";
+        job.error = {
+          message: error.message,
+          status: error.status || 500,
+          code: error.code || null,
+          retryAfterSeconds: error.retryAfterSeconds || null
+        };
+        job.updatedAt = new Date().toISOString();
+        console.error(`Job failed: ${job.id}:`, error.message);
+        job.emitter.emit("failed", job.error);
+      });
+
+    return job;
+  }
+
+  // Find a queued or running job of a type by its key
+  findActive(type, key) {
+    for (const job of this.jobs.values()) {
+      if (job.type === type && job.key === key && (job.status === "queued" || job.status === "running")) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  // Wait for a job to finish: resolves with its result, rejects with its error
+  wait(jobId) {
+    const job = this.get(jobId);
+    if (!job) {
+      return Promise.reject(new Error(`Job ${jobId} not found`));
+    }
+
+    const toError = (failure) => Object.assign(new Error(failure.message), failure);
+    if (job.status === "completed") return Promise.resolve(job.result);
+    if (job.status === "failed") return Promise.reject(toError(job.error));
+
+    return new Promise((resolve, reject) => {
+      const unsubscribe = this.subscribe(job.id, {
+        onComplete: result => {
+          unsubscribe();
+          resolve(result);
+        },
+        onFailed: failure => {
+          unsubscribe();
+          reject(toError(failure));
+        }
+      });
+    });
+  }
+
+  // Subscribe to job events, returns an unsubscribe function
+  subscribe(jobId, listeners) {
+    const job = this.get(jobId);
+    if (!job) {
+      return () => {};
+    }
+
+    const events = {
+      progress: listeners.onProgress,
+      games: listeners.onGames,
+      complete: listeners.onComplete,
+      failed: listeners.onFailed
+    };
+
+    for (const [event, listener] of Object.entries(events)) {
+      if (listener) job.emitter.on(event, listener);
+    }
+
+    return () => {
+      for (const [event, listener] of Object.entries(events)) {
+        if (listener) job.emitter.off(event, listener);
+      }
+    };
+  }
+
+  // Public view of a job (no emitter, no partial games)
+  toPublic(job) {
+    if (!job) return null;
+    const { emitter, games, result, ...publicJob } = job;
+    return { ...publicJob, gamesFetched: games.length };
+  }
+
+  // Get statistics about jobs
+  getStats() {
+    let running = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === "queued" || job.status === "running") running++;
+    }
+    return { jobCount: this.jobs.size, running };
+  }
+
+  // Remove finished jobs past their TTL
+  _cleanup() {
+    const now = Date.now();
+    let deletedCount = 0;
+
+    for (const [jobId, job] of this.jobs) {
+      const isFinished = job.status === "completed" || job.status === "failed";
+      if (isFinished && now - new Date(job.updatedAt).getTime() > this.finishedJobTTL) {
+        job.emitter.removeAllListeners();
+        this.jobs.delete(jobId);
+        deletedCount++;
+      }
+    }
+
+    if (deletedCount > 0) {
+      console.log(`Job cleanup: removed ${deletedCount} finished jobs`);
+    }
+
+    return deletedCount;
+  }
+}
+
+module.exports = JobManager;
@@ -0,0 +1,287 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const { nanoid } = require("nanoid");
+
+// Local collections are served through the collection API under this username prefix,
+// e.g. /api/collection/local:alice
+const LOCAL_PREFIX = "local:";
+
+// Local collection names: letters, digits, "-" and "_", stored lowercased
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+// Collections for players without a BGG account, one JSON file per collection:
+//
+// {
+//   name: "alice",
+//   createdAt: "2024-01-31T10:00:00.000Z",
+//   updatedAt: "2024-02-01T18:30:00.000Z",
+//   editToken: "...",                   secret needed to change the collection, only returned on create
+//   games: [
+//     { id: "174430", name: "Gloomhaven", condition: "Sleeved", addedAt: "...", updatedAt: "..." }
+//   ]
+// }
+//
+// Games only store their BGG id, name and the owner's notes; details come from the shared
+// BGG detail cache when the collection is served.
+class LocalCollectionManager {
+  constructor() {
+    // Use same environment detection as CacheManager
+    this.collectionsDir = this._detectCollectionsDir();
+    // Writes per collection are chained so concurrent edits don't overwrite each other
+    this.writeQueues = new Map();
+
+    this._initializeCollectionsDir();
+  }
+
+  // Whether a collection API username refers to a local collection
+  static isLocalUsername(username) {
+    return String(username).toLowerCase().startsWith(LOCAL_PREFIX);
+  }
+
+  // Local collection name from a collection API username ("local:Alice" -> "alice"),
+  // null when the rest isn't a valid name
+  static nameFromUsername(username) {
+    const name = String(username).slice(LOCAL_PREFIX.length).toLowerCase();
+    return LocalCollectionManager.isValidName(name) ? name : null;
+  }
+
+  static usernameFor(name) {
+    return `${LOCAL_PREFIX}${name}`;
+  }
+
+  static isValidName(name) {
+    return NAME_PATTERN.test(String(name).toLowerCase());
+  }
+
+  // Detect the appropriate directory based on environment
+  _detectCollectionsDir() {
+    // Explicit env var takes precedence
+    if (process.env.LOCAL_COLLECTIONS_DIR) {
+      return process.env.LOCAL_COLLECTIONS_DIR;
+    }
+
+    // Check if running in a container (Linux with /cache directory available)
+    const isContainer = process.platform !== 'win32' && fsSync.existsSync('/cache');
+
+    if (isContainer) {
+      return '/cache/local-collections';
+    }
+
+    // Local development - use ./cache/local-collections relative to backend folder
+    return path.join(__dirname, 'cache', 'local-collections');
+  }
+
+  // Initialize local collections directory
+  async _initializeCollectionsDir() {
+    try {
+      await fs.mkdir(this.collectionsDir, { recursive: true });
+      console.log(`Local collections directory initialized at: ${this.collectionsDir}`);
+    } catch (error) {
+      console.error("Failed to initialize local collections directory:", error.message);
+    }
+  }
+
+  // Get file path for a collection. Invalid names throw, so no name can reach a file
+  // outside the collections directory.
+  _getFilePath(name) {
+    if (!LocalCollectionManager.isValidName(name)) {
+      throw new Error(`Invalid local collection name "${name}"`);
+    }
+
+    const collectionsDir = path.resolve(this.collectionsDir);
+    const filePath = path.resolve(collectionsDir, `${String(name).toLowerCase()}.json`);
+    if (path.dirname(filePath) !== collectionsDir) {
+      throw new Error(`Local collection path for "${name}" is outside ${collectionsDir}`);
+    }
+    return filePath;
+  }
+
+  // Strip the edit token before returning a collection
+  _sanitize(collection) {
+    if (!collection) return null;
+    const { editToken, ...safeCollection } = collection;
+    return safeCollection;
+  }
+
+  // Run a read-modify-write on a collection after any pending write to it
+  async _update(name, change) {
+    const key = name.toLowerCase();
+    const previousWrite = this.writeQueues.get(key) || Promise.resolve();
+    const write = previousWrite
+      .catch(() => {})
+      .then(async () => {
+        const collection = await this.get(key);
+        if (!collection) return null;
+
+        const result = change(collection);
+        if (result === null) return null;
+
+        collection.updatedAt = new Date().toISOString();
+        await fs.writeFile(this._getFilePath(key), JSON.stringify(collection, null, 2));
+        return result === undefined ? collection : result;
+      });
+
+    this.writeQueues.set(key, write);
+    try {
+      return await write;
+    } finally {
+      if (this.writeQueues.get(key) === write) {
+        this.writeQueues.delete(key);
+      }
+    }
+  }
+
+  // Get statistics about local collections
+  async getStats() {
+    try {
+      const files = await fs.readdir(this.collectionsDir);
+      return { collectionCount: files.filter(f => f.endsWith('.json')).length };
+    } catch (error) {
+      return { collectionCount: 0 };
+    }
+  }
+
+  // Create an empty collection. Returns null when the name is taken.
+  async create(name) {
+    const key = name.toLowerCase();
+    const now = new Date().toISOString();
+    const collection = {
+      name: key,
+      createdAt: now,
+      updatedAt: now,
+      editToken: nanoid(16), // Stored in the collection, but only returned on create
+      games: []
+    };
+
+    try {
+      // "wx" fails if the file exists, so two creates can't both claim a name
+      await fs.writeFile(this._getFilePath(key), JSON.stringify(collection, null, 2), { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') return null;
+      throw error;
+    }
+
+    console.log(`Local collection created: ${key}`);
+    return collection;
+  }
+
+  // Verify the edit token for a collection
+  async verifyToken(name, token) {
+    const collection = await this.get(name);
+    if (!collection) {
+      return false;
+    }
+    return collection.editToken === token;
+  }
+
+  // Get a collection by name (internal use - includes editToken)
+  async get(name) {
+    try {
+      const filePath = this._getFilePath(name);
+
+      if (!fsSync.existsSync(filePath)) {
+        return null;
+      }
+
+      const content = await fs.readFile(filePath, 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      console.error(`Failed to get local collection ${name}:`, error.message);
+      return null;
+    }
+  }
+
+  // Get a collection by name (public use - strips editToken)
+  async getPublic(name) {
+    const collection = await this.get(name);
+    return this._sanitize(collection);
+  }
+
+  // Add games ({ id, name, condition }) to a collection. Games already in it keep their
+  // place; their condition is only replaced when a new one is given.
+  // Returns { collection, added, updated } with the affected game ids.
+  async addGames(name, games) {
+    return this._update(name, (collection) => {
+      const now = new Date().toISOString();
+      const added = [];
+      const updated = [];
+
+      for (const game of games) {
+        const existing = collection.games.find(g => g.id === game.id);
+        if (existing) {
+          if (game.condition && game.condition !== existing.condition) {
+            existing.condition = game.condition;
+            existing.updatedAt = now;
+            updated.push(game.id);
+          }
+          continue;
+        }
+
+        collection.games.push({
+          id: game.id,
+          name: game.name,
+          condition: game.condition || null,
+          addedAt: now,
+          updatedAt: now
+        });
+        added.push(game.id);
+      }
+
+      console.log(`Local collection ${collection.name}: added ${added.length} games, updated ${updated.length}`);
+      return { collection, added, updated };
+    });
+  }
+
+  // Fill in game names fetched from BGG (a Map of id -> name) and remove games BGG doesn't
+  // know. Returns null when nothing changed.
+  async resolveGames(name, names, unknownIds) {
+    return this._update(name, (collection) => {
+      const games = collection.games.filter(g => !unknownIds.includes(g.id));
+      let changed = games.length !== collection.games.length;
+
+      for (const game of games) {
+        if (names.has(game.id) && game.name !== names.get(game.id)) {
+          game.name = names.get(game.id);
+          changed = true;
+        }
+      }
+
+      if (!changed) return null;
+      collection.games = games;
+    });
+  }
+
+  // Update a game's condition notes. Returns null when the collection or game doesn't exist.
+  async updateGame(name, gameId, { condition }) {
+    return this._update(name, (collection) => {
+      const game = collection.games.find(g => g.id === gameId);
+      if (!game) return null;
+
+      game.condition = condition || null;
+      game.updatedAt = new Date().toISOString();
+      return collection;
+    });
+  }
+
+  // Remove a game from a collection
+  async removeGame(name, gameId) {
+    return this._update(name, (collection) => {
+      collection.games = collection.games.filter(g => g.id !== gameId);
+    });
+  }
+
+  // Delete a collection
+  async delete(name) {
+    try {
+      await fs.unlink(this._getFilePath(name));
+      console.log(`Local collection deleted: ${name}`);
+      return true;
+    } catch (error) {
+      console.error(`Failed to delete local collection ${name}:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = LocalCollectionManager;
@@ -0,0 +1,55 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const LocalCollectionManager = require("./localCollectionManager");
+
+describe("LocalCollectionManager names", () => {
+  let rootDir;
+  let localCollections;
+
+  before(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "local-collections-"));
+    fs.mkdirSync(path.join(rootDir, "collections"));
+    fs.mkdirSync(path.join(rootDir, "events"));
+    fs.writeFileSync(path.join(rootDir, "events", "e1.json"), JSON.stringify({ id: "e1", creatorToken: "secret" }));
+
+    process.env.LOCAL_COLLECTIONS_DIR = path.join(rootDir, "collections");
+    localCollections = new LocalCollectionManager();
+    delete process.env.LOCAL_COLLECTIONS_DIR;
+  });
+
+  after(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it("reads names from collection API usernames", () => {
+    assert.equal(LocalCollectionManager.nameFromUsername("local:Alice"), "alice");
+    assert.equal(LocalCollectionManager.nameFromUsername("local:../events/e1"), null);
+    assert.equal(LocalCollectionManager.nameFromUsername("local:"), null);
+  });
+
+  it("never reads or deletes files outside the collections directory", async () => {
+    assert.equal(await localCollections.getPublic("../events/e1"), null);
+    assert.equal(await localCollections.delete("../events/e1"), false);
+    assert.ok(fs.existsSync(path.join(rootDir, "events", "e1.json")));
+  });
+
+  it("stores valid names lowercased", async () => {
+    await localCollections.create("Alice");
+
+    assert.equal((await localCollections.getPublic("ALICE")).name, "alice");
+    assert.ok(fs.existsSync(path.join(rootDir, "collections", "alice.json")));
+  });
+
+  it("fills in fetched names and removes games BGG doesn't know", async () => {
+    await localCollections.create("bob");
+    await localCollections.addGames("bob", [{ id: "13", name: null }, { id: "99999999", name: null }]);
+
+    const collection = await localCollections.resolveGames("bob", new Map([["13", "Catan"]]), ["99999999"]);
+
+    assert.deepEqual(collection.games.map(game => [game.id, game.name]), [["13", "Catan"]]);
+    assert.equal(await localCollections.resolveGames("bob", new Map([["13", "Catan"]]), []), null);
+  });
+});
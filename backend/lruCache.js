@@ -0,0 +1,73 @@
+// Least-recently-used map bounded by the total size of its values in bytes.
+// A Map iterates in insertion order, so re-inserting a key on every read keeps the
+// least recently used entry first, where eviction finds it in O(1).
+class LruCache {
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+    this.entries = new Map(); // key -> { value, size }
+    this.totalSize = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  // Get a value and mark it as most recently used, undefined when not held
+  get(key) {
+    const item = this.entries.get(key);
+    if (!item) {
+      this.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    this.hits++;
+    return item.value;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  // Store a value, evicting the least recently used entries until it fits.
+  // Values larger than the whole cache are not kept; returns whether it was stored.
+  set(key, value, size) {
+    this.delete(key);
+    if (size > this.maxSize) return false;
+
+    this.entries.set(key, { value, size });
+    this.totalSize += size;
+
+    while (this.totalSize > this.maxSize) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this.entries.delete(oldestKey);
+      this.totalSize -= oldest.size;
+    }
+    return true;
+  }
+
+  delete(key) {
+    const item = this.entries.get(key);
+    if (!item) return false;
+
+    this.entries.delete(key);
+    this.totalSize -= item.size;
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.totalSize = 0;
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.size,
+      size: this.totalSize,
+      maxSize: this.maxSize,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+module.exports = LruCache;
@@ -0,0 +1,47 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const LruCache = require("./lruCache");
+
+describe("LruCache", () => {
+  it("evicts the least recently used entries once over its size", () => {
+    const lru = new LruCache(10);
+    lru.set("a", "A", 4);
+    lru.set("b", "B", 4);
+    lru.get("a");
+    lru.set("c", "C", 4);
+
+    assert.equal(lru.has("b"), false);
+    assert.equal(lru.get("a"), "A");
+    assert.equal(lru.get("c"), "C");
+    assert.equal(lru.getStats().size, 8);
+  });
+
+  it("replaces entries and keeps the size in step", () => {
+    const lru = new LruCache(10);
+    lru.set("a", "A", 4);
+    lru.set("a", "AA", 6);
+    lru.delete("missing");
+
+    assert.deepEqual(lru.getStats(), { entries: 1, size: 6, maxSize: 10, hits: 0, misses: 0 });
+  });
+
+  it("does not keep values larger than the cache", () => {
+    const lru = new LruCache(10);
+    lru.set("a", "A", 4);
+
+    assert.equal(lru.set("big", "B", 11), false);
+    assert.equal(lru.has("big"), false);
+    assert.equal(lru.has("a"), true);
+    assert.equal(new LruCache(0).set("a", "A", 1), false);
+  });
+
+  it("counts hits and misses", () => {
+    const lru = new LruCache(10);
+    lru.set("a", "A", 1);
+    lru.get("a");
+    lru.get("b");
+
+    assert.equal(lru.get("b"), undefined);
+    assert.deepEqual(lru.getStats(), { entries: 1, size: 1, maxSize: 10, hits: 1, misses: 2 });
+  });
+});
@@ -0,0 +1,193 @@
+// Local stand-in for the BGG XML API, serving recorded fixtures
+//
+// Replay (default):  node mockBggServer.js
+// Record:            node mockBggServer.js --record
+//
+// Point the backend at it with BGG_API_BASE_URL=http://localhost:4100/xmlapi2
+//
+// Fixtures live in fixtures/bgg (MOCK_BGG_FIXTURES_DIR), one directory per endpoint:
+// - /collection, /plays and /search responses are stored per request, named after the
+//   sorted query string, e.g. collection/own=1&showprivate=1&stats=1&username=demo.xml
+// - /thing responses are stored per game (thing/174430.xml) and combined for batched ids,
+//   so any batch of recorded games can be replayed
+// A fixture can have a sidecar .json with a response sequence to replay BGG's queueing and
+// rate limiting, e.g. { "sequence": [{ "status": 202 }, { "status": 429, "retryAfter": 2 }] }.
+// Requests are answered by the sequence in order, then by the fixture itself.
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, ".env") });
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const express = require("express");
+const axios = require("axios");
+
+const port = process.env.MOCK_BGG_PORT || 4100;
+const fixturesDir = process.env.MOCK_BGG_FIXTURES_DIR || path.join(__dirname, "fixtures", "bgg");
+const upstreamUrl = process.env.BGG_UPSTREAM_URL || "https://boardgamegeek.com/xmlapi2";
+const isRecording = process.argv.includes("--record") || process.env.MOCK_BGG_RECORD === "true";
+
+const ENDPOINTS = ["collection", "thing", "plays", "search"];
+
+// Query parameters dropped when no fixture matches exactly, so incremental
+// play fetches (mindate) fall back to the full recording
+const OPTIONAL_PARAMS = ["mindate", "maxdate"];
+
+// Requests served so far per fixture, to step through response sequences
+const sequencePositions = new Map();
+
+// Fixture name for a request: its query parameters, sorted and lowercased
+// (BGG usernames and searches are case-insensitive)
+function fixtureName(query, { omit = [] } = {}) {
+  return Object.keys(query)
+    .filter(key => !omit.includes(key))
+    .sort()
+    .map(key => `${key}=${query[key]}`)
+    .join("&")
+    .toLowerCase()
+    .replace(/[^\w=,.&-]/g, "_");
+}
+
+function fixturePath(endpoint, name) {
+  return path.join(fixturesDir, endpoint, `${name}.xml`);
+}
+
+// Split a /thing response into its <item> elements, keyed by game id
+function splitThingItems(xml) {
+  const items = new Map();
+  for (const item of xml.match(/<item\b[\s\S]*?<\/item>/g) || []) {
+    const id = (item.match(/\bid="(\d+)"/) || [])[1];
+    if (id) items.set(id, item);
+  }
+  return items;
+}
+
+function xmlDocument(tag, attributes, body) {
+  const openTag = attributes ? `<${tag} ${attributes}>` : `<${tag}>`;
+  return `<?xml version="1.0" encoding="utf-8"?>\n${openTag}\n${body}\n</${tag}>\n`;
+}
+
+async function readFixture(endpoint, name) {
+  const filePath = fixturePath(endpoint, name);
+  if (!fsSync.existsSync(filePath)) return null;
+  return fs.readFile(filePath, "utf-8");
+}
+
+// Next scripted response for a fixture (202, 429, ...), or null once the sequence is used up
+async function nextScriptedResponse(endpoint, name) {
+  const sequencePath = path.join(fixturesDir, endpoint, `${name}.json`);
+  if (!fsSync.existsSync(sequencePath)) return null;
+
+  const { sequence = [] } = JSON.parse(await fs.readFile(sequencePath, "utf-8"));
+  const key = `${endpoint}/${name}`;
+  const position = sequencePositions.get(key) || 0;
+  sequencePositions.set(key, position + 1);
+
+  return sequence[position] || null;
+}
+
+// Combine recorded games for a batched /thing?id=a,b,c request
+async function replayThings(ids) {
+  const items = [];
+  for (const id of ids) {
+    const item = await readFixture("thing", id);
+    if (item) {
+      items.push(item.trim());
+    } else {
+      console.log(`[Mock BGG] No fixture for thing ${id}`);
+    }
+  }
+  return xmlDocument("items", 'termsofuse="https://boardgamegeek.com/xmlapi/termsofuse"', items.join("\n"));
+}
+
+async function replay(req, res) {
+  const endpoint = req.params.endpoint;
+
+  if (endpoint === "thing") {
+    const ids = String(req.query.id || "").split(",").filter(Boolean);
+    return res.type("text/xml").send(await replayThings(ids));
+  }
+
+  let name = fixtureName(req.query);
+  let xml = await readFixture(endpoint, name);
+  if (!xml) {
+    name = fixtureName(req.query, { omit: OPTIONAL_PARAMS });
+    xml = await readFixture(endpoint, name);
+  }
+
+  if (!xml) {
+    console.log(`[Mock BGG] No fixture for ${endpoint}/${fixtureName(req.query)}`);
+    return res.status(404).type("text/plain").send(`No fixture recorded for /${endpoint}?${fixtureName(req.query)}`);
+  }
+
+  const scripted = await nextScriptedResponse(endpoint, name);
+  if (scripted && scripted.status !== 200) {
+    console.log(`[Mock BGG] Scripted ${scripted.status} for ${endpoint}/${name}`);
+    if (scripted.retryAfter) {
+      res.set("Retry-After", String(scripted.retryAfter));
+    }
+    if (scripted.status === 202) {
+      return res.status(202).type("text/xml").send(
+        xmlDocument("message", "", "Your request for this collection has been accepted and will be processed. Please try again later for access.")
+      );
+    }
+    return res.status(scripted.status).type("text/plain").send(scripted.body || "");
+  }
+
+  res.type("text/xml").send(xml);
+}
+
+// Proxy to the real BGG API and save successful responses as fixtures
+async function record(req, res) {
+  const endpoint = req.params.endpoint;
+  const queryString = new URLSearchParams(req.query).toString();
+  const token = process.env.BGG_ACCESS_TOKEN;
+
+  const response = await axios.get(`${upstreamUrl}/${endpoint}?${queryString}`, {
+    headers: token ? { "Authorization": `Bearer ${token}` } : {},
+    responseType: "text",
+    validateStatus: () => true
+  });
+
+  if (response.status === 200) {
+    if (endpoint === "thing") {
+      for (const [id, item] of splitThingItems(response.data)) {
+        await saveFixture("thing", id, item);
+      }
+    } else {
+      await saveFixture(endpoint, fixtureName(req.query), response.data);
+    }
+  } else {
+    console.log(`[Mock BGG] Upstream ${response.status} for /${endpoint}?${queryString}, not recorded`);
+  }
+
+  if (response.headers["retry-after"]) {
+    res.set("Retry-After", response.headers["retry-after"]);
+  }
+  res.status(response.status).type(response.headers["content-type"] || "text/xml").send(response.data);
+}
+
+async function saveFixture(endpoint, name, xml) {
+  const filePath = fixturePath(endpoint, name);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, xml);
+  console.log(`[Mock BGG] Recorded ${path.relative(fixturesDir, filePath)}`);
+}
+
+const app = express();
+
+app.get("/xmlapi2/:endpoint", async (req, res) => {
+  if (!ENDPOINTS.includes(req.params.endpoint)) {
+    return res.status(404).type("text/plain").send(`Unsupported endpoint /${req.params.endpoint}`);
+  }
+
+  try {
+    await (isRecording ? record(req, res) : replay(req, res));
+  } catch (error) {
+    console.error(`[Mock BGG] ${req.originalUrl} failed:`, error.message);
+    res.status(500).type("text/plain").send(error.message);
+  }
+});
+
+app.listen(port, () => {
+  console.log(`Mock BGG API ${isRecording ? `recording from ${upstreamUrl}` : "replaying fixtures"} on http://localhost:${port}/xmlapi2`);
+  console.log(`Fixtures directory: ${fixturesDir}`);
+});
@@ -0,0 +1,114 @@
+const { toArray } = require("./gameModel");
+
+// BGG returns logged plays 100 per page, newest first
+const PLAYS_PAGE_SIZE = 100;
+
+// Normalise one <play> from /plays
+//
+// {
+//   id: "12345678",
+//   date: "2024-01-31",                play date as logged (YYYY-MM-DD)
+//   quantity: 1,                       a single log entry can record several plays
+//   length: 90,                        minutes, null when not logged
+//   incomplete: false,
+//   location: "Home",
+//   gameId: "174430",
+//   gameName: "Gloomhaven",
+//   players: ["Alice", "Bob"]          BGG usernames, or names for players without an account
+// }
+function normalizePlay(play) {
+  const item = play.item || { $: {} };
+
+  return {
+    id: String(play.$.id),
+    date: play.$.date || null,
+    quantity: parseInt(play.$.quantity, 10) || 1,
+    length: parseInt(play.$.length, 10) || null,
+    incomplete: play.$.incomplete === "1",
+    location: play.$.location || null,
+    gameId: String(item.$.objectid),
+    gameName: item.$.name || null,
+    players: toArray(play.players && play.players.player)
+      .map(player => player.$.username || player.$.name)
+      .filter(Boolean)
+  };
+}
+
+// Read one parsed /plays page: the plays on it and the user's total play count
+function readPlaysPage(parsed) {
+  const plays = parsed.plays;
+  return {
+    total: parseInt(plays.$ && plays.$.total, 10) || 0,
+    plays: toArray(plays.play).map(normalizePlay)
+  };
+}
+
+// Merge newly fetched plays into the stored history, de-duplicated by play id
+// (BGG's mindate is inclusive, so incremental fetches overlap by a day)
+function mergePlays(existingPlays, newPlays) {
+  const byId = new Map(existingPlays.map(play => [play.id, play]));
+  for (const play of newPlays) {
+    byId.set(play.id, play);
+  }
+
+  return [...byId.values()].sort((a, b) => (b.date || "").localeCompare(a.date || ""));
+}
+
+// Date of the most recent logged play, used as mindate for incremental fetches
+function latestPlayDate(plays) {
+  return plays.reduce((latest, play) => (play.date && play.date > (latest || "") ? play.date : latest), null);
+}
+
+// Per-game statistics keyed by game id: { playCount, lastPlayed, players }
+// `players` lists everyone who played the game, most frequent first.
+function summarizePlays(plays) {
+  const summary = {};
+  const playerCounts = {};
+
+  for (const play of plays) {
+    const stats = summary[play.gameId] || (summary[play.gameId] = { playCount: 0, lastPlayed: null, players: [] });
+    const counts = playerCounts[play.gameId] || (playerCounts[play.gameId] = {});
+
+    stats.playCount += play.quantity;
+    if (play.date && play.date > (stats.lastPlayed || "")) {
+      stats.lastPlayed = play.date;
+    }
+    for (const player of play.players) {
+      counts[player] = (counts[player] || 0) + play.quantity;
+    }
+  }
+
+  for (const [gameId, counts] of Object.entries(playerCounts)) {
+    summary[gameId].players = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  }
+
+  return summary;
+}
+
+// Combine play statistics from several users (game group exports)
+function mergePlayStats(statsList) {
+  const merged = {};
+
+  for (const stats of statsList) {
+    for (const [gameId, gameStats] of Object.entries(stats)) {
+      const existing = merged[gameId];
+      merged[gameId] = existing ? {
+        playCount: existing.playCount + gameStats.playCount,
+        lastPlayed: (existing.lastPlayed || "") > (gameStats.lastPlayed || "") ? existing.lastPlayed : gameStats.lastPlayed,
+        players: [...new Set([...existing.players, ...gameStats.players])]
+      } : gameStats;
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  PLAYS_PAGE_SIZE,
+  normalizePlay,
+  readPlaysPage,
+  mergePlays,
+  latestPlayDate,
+  summarizePlays,
+  mergePlayStats
+};
@@ -1,19 +1,52 @@
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 const express = require("express");
 const axios = require("axios");
 const xml2js = require("xml2js");
 const CacheManager = require("./cacheManager");
 const EventManager = require("./eventManager");
+const JobManager = require("./jobManager");
+const HistoryManager = require("./historyManager");
+const LocalCollectionManager = require("./localCollectionManager");
+const BggScheduler = require("./bggScheduler");
+const WarmupScheduler = require("./warmupScheduler");
+const { requestWithRetry } = require("./bggRetry");
+const { BggError, BggNotFoundError } = require("./bggErrors");
+const {
+  GAME_MODEL_VERSION,
+  toArray,
+  normalizeThing,
+  normalizeCollectionItem,
+  withCollection,
+  collectionEntryChanged,
+  withLocalCollection,
+  mergeCollections
+} = require("./gameModel");
+const {
+  PLAYS_PAGE_SIZE,
+  readPlaysPage,
+  mergePlays,
+  latestPlayDate,
+  summarizePlays,
+  mergePlayStats
+} = require("./playHistory");
+const { readFilters, filterGames, sortGames, isValidSort } = require("./collectionFilters");
+const { EXPORT_FORMATS, resolveColumns, toRows, toCsv } = require("./collectionExport");
+const { readGameCsv } = require("./collectionImport");
 
 const app = express();
 app.use(express.json()); // Enable JSON body parsing
 const port = process.env.PORT || 4000;
 
 // BGG API Configuration
-const BGG_API_BASE_URL = "https://boardgamegeek.com/xmlapi2";
+// Point BGG_API_BASE_URL at mockBggServer.js to run without boardgamegeek.com
+const BGG_API_BASE_URL = process.env.BGG_API_BASE_URL || "https://boardgamegeek.com/xmlapi2";
 const BGG_ACCESS_TOKEN = process.env.BGG_ACCESS_TOKEN;
 
+// Token for the /api/admin routes (sent as X-Admin-Token). Without it the admin API is disabled.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
 // Create axios instance with default BGG API configuration
 const bggApi = axios.create({
   baseURL: BGG_API_BASE_URL,
@@ -48,8 +81,137 @@ bggApi.interceptors.response.use(
   }
 );
 
-// Rate limiting delay between BGG API requests (5 seconds as per BGG requirements)
-const BGG_RATE_LIMIT_MS = 5000;
+// Rate limiting delay between BGG API requests (5 seconds as per BGG requirements).
+// Only lower it against the mock BGG server.
+const BGG_RATE_LIMIT_MS = parseInt(process.env.BGG_RATE_LIMIT_MS) || 5000;
+
+// Every BGG call goes through one process-wide queue so the rate limit holds across
+// users and background refreshes. Interactive loads are served before background work.
+const bggScheduler = new BggScheduler(BGG_RATE_LIMIT_MS);
+
+// Retry policy for BGG calls: how often to poll a queued (202) request and the backoff ceiling
+const BGG_MAX_ATTEMPTS = parseInt(process.env.BGG_MAX_ATTEMPTS) || 6;
+const BGG_RETRY_BASE_MS = 2000;
+const BGG_RETRY_MAX_MS = 60000;
+
+// Queue a GET against the BGG API. Each retry attempt goes back through the queue.
+function bggGet(url, priority = "interactive") {
+  return requestWithRetry(
+    () => bggScheduler.schedule(() => bggApi.get(url), { priority, label: url }),
+    {
+      label: url,
+      maxAttempts: BGG_MAX_ATTEMPTS,
+      baseDelayMs: BGG_RETRY_BASE_MS,
+      maxDelayMs: BGG_RETRY_MAX_MS,
+      onRetryAfter: ms => bggScheduler.pauseFor(ms)
+    }
+  );
+}
+
+// Parse a BGG XML response, turning an <errors> document into a not-found error
+async function parseBggXml(xml) {
+  const parsed = await xml2js.parseStringPromise(xml, { explicitArray: false });
+
+  if (parsed.errors) {
+    const errors = Array.isArray(parsed.errors.error) ? parsed.errors.error : [parsed.errors.error];
+    const message = errors.map(e => e?.message).filter(Boolean).join("; ");
+    throw new BggNotFoundError(message || undefined);
+  }
+
+  return parsed;
+}
+
+// Resolve ?status= (and ?wishlistpriority= for wishlists) into a collection view.
+// Each view is fetched and cached separately.
+function resolveCollectionView(query = {}) {
+  const status = query.status || "owned";
+  const definition = COLLECTION_STATUSES[status];
+
+  if (!definition) {
+    throw createHttpError(400, `Unknown collection status "${status}". Use one of: ${Object.keys(COLLECTION_STATUSES).join(", ")}`);
+  }
+
+  let wishlistPriority = null;
+  if (status === "wishlist" && query.wishlistpriority) {
+    wishlistPriority = parseInt(query.wishlistpriority, 10);
+    if (!(wishlistPriority >= 1 && wishlistPriority <= 5)) {
+      throw createHttpError(400, "wishlistpriority must be between 1 and 5");
+    }
+  }
+
+  return {
+    status,
+    wishlistPriority,
+    label: definition.label,
+    // stats=1 adds the user's own rating, showprivate=1 their private comments (when BGG allows it)
+    bggParams: [
+      definition.bggParam,
+      wishlistPriority ? `wishlistpriority=${wishlistPriority}` : null,
+      "stats=1",
+      "showprivate=1"
+    ].filter(Boolean).join("&"),
+    // Owned collections keep the original cache key
+    cacheKey: (username) => {
+      if (status === "owned") return `${username}_detailed.json`;
+      const suffix = wishlistPriority ? `${status}-p${wishlistPriority}` : status;
+      return `${username}_${suffix}_detailed.json`;
+    }
+  };
+}
+
+// Send an error response, keeping BGG error details (code, Retry-After) for the client
+function sendError(res, err, fallbackMessage) {
+  if (err instanceof BggError) {
+    if (err.retryAfterSeconds) {
+      res.set('Retry-After', String(err.retryAfterSeconds));
+    }
+    return res.status(err.status).json(err.toJSON());
+  }
+
+  res.status(err.status || 500).json({ error: err.status ? err.message : fallbackMessage });
+}
+
+// Number of game IDs requested per /thing call
+const BGG_BATCH_SIZE = 10;
+
+// How often games whose /thing batch failed are retried in the background
+const DETAIL_REPAIR_INTERVAL_MS = 10 * 60 * 1000;
+
+// Background refreshes re-fetch the details of this many games per run, oldest first,
+// so BGG-side changes (weight, rank) reach cached collections
+const ROLLING_REFRESH_COUNT = BGG_BATCH_SIZE;
+
+// Maximum number of games returned by /api/search (details are fetched in one /thing call)
+const MAX_SEARCH_RESULTS = 10;
+
+// Maximum number of users in a combined group collection
+const MAX_GROUP_USERS = 10;
+
+// Maximum number of games added to a local collection in one request (details are fetched inline)
+const MAX_LOCAL_GAMES_PER_REQUEST = 200;
+
+// Maximum length of a local game's condition notes
+const MAX_CONDITION_LENGTH = 500;
+
+// Cache warm-up: on the WARMUP_CRON schedule (e.g. "0 16 * * 5"), the collections of
+// WARMUP_USERNAMES and of everyone who created an event in the last WARMUP_EVENT_DAYS days
+// are imported or re-checked, so they're warm before game night
+const WARMUP_USERNAMES = (process.env.WARMUP_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean);
+const WARMUP_EVENT_DAYS = parseInt(process.env.WARMUP_EVENT_DAYS) || 14;
+
+// How long cached play history is served before newly logged plays are fetched
+const PLAYS_REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Collection statuses that can be requested with ?status=, mapped to BGG /collection filters
+const COLLECTION_STATUSES = {
+  owned: { bggParam: "own=1", label: "collection" },
+  prevowned: { bggParam: "prevowned=1", label: "previously owned list" },
+  wishlist: { bggParam: "wishlist=1", label: "wishlist" },
+  wanttoplay: { bggParam: "wanttoplay=1", label: "want to play list" },
+  wanttobuy: { bggParam: "wanttobuy=1", label: "want to buy list" },
+  fortrade: { bggParam: "trade=1", label: "for trade list" },
+  preordered: { bggParam: "preordered=1", label: "preordered list" }
+};
 
 // Initialize improved cache manager
 const cache = new CacheManager();
@@ -57,6 +219,18 @@ const cache = new CacheManager();
 // Initialize event manager
 const events = new EventManager();
 
+// Initialize background job manager (collection imports)
+const jobs = new JobManager();
+
+// Initialize collection history (added/removed/status changes per user)
+const collectionHistory = new HistoryManager();
+
+// Initialize local collections (players without a BGG account)
+const localCollections = new LocalCollectionManager();
+
+// Initialize the cache warm-up schedule (started with the server, disabled without WARMUP_CRON)
+const warmup = process.env.WARMUP_CRON ? new WarmupScheduler(process.env.WARMUP_CRON, warmUpCollections) : null;
+
 // Health check endpoint for Azure monitoring
 app.get("/health", async (req, res) => {
   try {
@@ -70,13 +244,20 @@ app.get("/health", async (req, res) => {
       bggApi: {
         baseUrl: BGG_API_BASE_URL,
         tokenConfigured: !!BGG_ACCESS_TOKEN,
-        rateLimitMs: BGG_RATE_LIMIT_MS
+        rateLimitMs: BGG_RATE_LIMIT_MS,
+        queue: bggScheduler.getStats()
       },
       cache: {
+        storage: cacheStats.storage,
         files: cacheStats.fileCount,
         size: cacheStats.totalSize,
-        sizeFormatted: cache._formatSize ? cache._formatSize(cacheStats.totalSize) : `${Math.round(cacheStats.totalSize / 1024)}KB`
-      }
+        sizeFormatted: cache._formatSize ? cache._formatSize(cacheStats.totalSize) : `${Math.round(cacheStats.totalSize / 1024)}KB`,
+        memory: cacheStats.memory
+      },
+      jobs: jobs.getStats(),
+      localCollections: (await localCollections.getStats()).collectionCount,
+      pendingDetailRepairs: pendingDetailRepairs.size,
+      warmup: warmup ? warmup.getStatus() : { enabled: false }
     });
   } catch (error) {
     res.status(500).json({
@@ -90,30 +271,113 @@ app.get("/health", async (req, res) => {
 app.get("/api/collection/:username", async (req, res) => {
   const username = req.params.username;
   const forceRefresh = req.query.refresh === 'true';
+  const isLocal = LocalCollectionManager.isLocalUsername(username);
+
+  let view;
+  try {
+    view = resolveCollectionView(req.query);
+  } catch (err) {
+    return sendError(res, err, "Invalid collection status");
+  }
   
-  console.log(`Collection request for ${username}, forceRefresh: ${forceRefresh}`);
+  console.log(`Collection request for ${username} (${view.status}), forceRefresh: ${forceRefresh}`);
   
-  // Check if we have cached detailed games (only if not forcing refresh)
-  if (!forceRefresh) {
-    const cached = await cache.get(`${username}_detailed.json`);
+  // Check if we have cached detailed games (only if not forcing refresh).
+  // Local collections are always served from their stored games.
+  if (!forceRefresh || isLocal) {
+    let cached;
+    try {
+      cached = await getCachedCollectionEntry(username, view);
+    } catch (err) {
+      return sendError(res, err, "Failed to load collection");
+    }
+
     if (cached) {
-      console.log(`Serving cached collection for ${username}`);
-      res.json({ ...cached, fromCache: true });
-      
-      // Continue processing in background to check for new games
-      checkForNewGames(username).catch(console.error);
+      console.log(`Serving ${cached.stale ? "stale" : "cached"} ${view.label} for ${username}`);
+
+      // Stale collections are served as they are while they're re-checked on BGG in the background
+      if (cached.stale) {
+        checkCollection(username, view, { priority: "background" });
+      }
+
+      const { detailsFetchedAt, ...collection } = cached.data;
+      res.json({
+        ...collection,
+        status: view.status,
+        fromCache: !isLocal,
+        fetchedAt: toIsoTime(cached.fetchedAt),
+        staleAt: toIsoTime(cached.staleAt),
+        refreshInProgress: isCollectionUpdating(username, view)
+      });
       return;
     } else {
       console.log(`No cache found for ${username}, will fetch fresh collection`);
     }
   }
 
+  // Importing a full collection takes minutes, so run it as a background job
+  // and let the client follow progress via /api/jobs/:id/events
+  const job = startCollectionImport(username, view);
+  res.status(202).json({
+    jobId: job.id,
+    status: job.status,
+    progressUrl: `/api/jobs/${job.id}/events`
+  });
+});
+
+// Combined collection for a game group, e.g. /api/collections?users=alice,bob
+app.get("/api/collections", async (req, res) => {
+  const usernames = [...new Set(
+    String(req.query.users || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean)
+  )];
+
+  if (usernames.length === 0) {
+    return res.status(400).json({ error: "users query parameter is required (comma-separated BGG usernames)" });
+  }
+  if (usernames.length > MAX_GROUP_USERS) {
+    return res.status(400).json({ error: `At most ${MAX_GROUP_USERS} users can be combined` });
+  }
+
+  let view;
+  try {
+    view = resolveCollectionView(req.query);
+  } catch (err) {
+    return sendError(res, err, "Invalid collection status");
+  }
+
+  console.log(`Combined collection request for ${usernames.join(', ')}`);
+
   try {
-    console.log(`Fetching fresh collection for ${username}...`);
-    await fetchFullCollection(username, res, forceRefresh);
+    const collections = [];
+    const pending = [];
+
+    for (const username of usernames) {
+      const cached = await getCachedCollectionEntry(username, view);
+      if (cached) {
+        collections.push({ username, games: cached.data.games || [] });
+        if (cached.stale) {
+          checkCollection(username, view, { priority: "background" });
+        }
+      } else {
+        // Uncached members are imported in the background, like a single collection
+        const job = startCollectionImport(username, view);
+        pending.push({ username, jobId: job.id, progressUrl: `/api/jobs/${job.id}/events` });
+      }
+    }
+
+    res.json({
+      modelVersion: GAME_MODEL_VERSION,
+      users: usernames,
+      status: view.status,
+      games: mergeCollections(collections),
+      pending
+    });
   } catch (err) {
-    console.error(`Error fetching collection for ${username}:`, err.message);
-    res.status(500).json({ error: "Failed to fetch from BGG", details: err.message });
+    console.error(`Error combining collections for ${usernames.join(', ')}:`, err.message);
+    sendError(res, err, "Failed to combine collections");
   }
 });
 
@@ -122,40 +386,190 @@ app.get("/api/collection/:username/refresh", async (req, res) => {
   const username = req.params.username;
   
   try {
-    const result = await checkForNewGames(username);
+    const view = resolveCollectionView(req.query);
+    const result = await checkCollection(username, view);
     res.json(result);
   } catch (err) {
     console.error(err.message);
-    res.status(500).json({ error: "Failed to refresh collection" });
+    sendError(res, err, "Failed to refresh collection");
+  }
+});
+
+// Export a collection as CSV or JSON, filtered and sorted like the collection view, e.g.
+// ?format=xlsx-compatible-csv&columns=name,year,weight&sortBy=rating-desc&minPlayers=3&hideExpansions=true
+// Several comma-separated usernames export the group's combined library.
+app.get("/api/collection/:username/export", async (req, res) => {
+  const usernames = [...new Set(req.params.username.split(',').map(name => name.trim()).filter(Boolean))];
+  const format = req.query.format || "csv";
+  const sortBy = req.query.sortBy || "name-asc";
+
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw createHttpError(400, `Unknown export format "${format}". Use one of: ${EXPORT_FORMATS.join(", ")}`);
+    }
+    if (!isValidSort(sortBy)) {
+      throw createHttpError(400, `Unknown sort order "${sortBy}"`);
+    }
+    if (usernames.length > MAX_GROUP_USERS) {
+      throw createHttpError(400, `At most ${MAX_GROUP_USERS} users can be combined`);
+    }
+
+    const view = resolveCollectionView(req.query);
+    const columns = resolveColumns(req.query.columns);
+    const filters = readFilters(req.query);
+
+    // Exports only use cached data, they never start an import
+    const collections = [];
+    const playStatsList = [];
+    for (const username of usernames) {
+      const cached = await getCachedCollection(username, view);
+      if (!cached) {
+        throw createHttpError(404, `The ${view.label} for ${username} hasn't been imported yet, load it first`);
+      }
+      collections.push({ username, games: cached.games || [] });
+
+      const plays = await cache.get(getPlaysCacheKey(username));
+      if (plays) playStatsList.push(summarizePlays(plays.plays));
+    }
+
+    const games = usernames.length > 1 ? mergeCollections(collections) : collections[0].games;
+    const playStats = mergePlayStats(playStatsList);
+    const exported = sortGames(filterGames(games, filters, { playStats }), sortBy, { playStats });
+    const rows = toRows(exported, columns, { playStats });
+
+    const filename = `${usernames.join('-')}-${view.status}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+    console.log(`Exporting ${rows.length} of ${games.length} games for ${usernames.join(', ')} as ${format}`);
+
+    if (format === "json") {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json({
+        users: usernames,
+        status: view.status,
+        exportedAt: new Date().toISOString(),
+        filters,
+        sortBy,
+        columns,
+        total: rows.length,
+        games: rows
+      });
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.type('text/csv; charset=utf-8');
+    res.send(toCsv(rows, columns, { excel: format === "xlsx-compatible-csv" }));
+  } catch (err) {
+    console.error(err.message);
+    sendError(res, err, "Failed to export collection");
   }
 });
 
-async function checkForNewGames(username) {
-  console.log(`Checking for new games for ${username}...`);
+// Get a user's cached collection, ignoring collections built with an older game model.
+// Local collections are built from their stored games (a 404 error when they don't exist).
+async function getCachedCollection(username, view) {
+  const cached = await getCachedCollectionEntry(username, view);
+  return cached ? cached.data : null;
+}
+
+// Get a user's cached collection with its freshness ({ data, fetchedAt, staleAt, stale }, times in ms).
+// Local collections are never stale, they only change through their own routes.
+async function getCachedCollectionEntry(username, view) {
+  if (LocalCollectionManager.isLocalUsername(username)) {
+    const data = await getLocalCollection(username, view);
+    return { data, fetchedAt: data.fetchedAt ? Date.parse(data.fetchedAt) : null, staleAt: null, stale: false };
+  }
+
+  const cached = await cache.getCollection(view.cacheKey(username));
+  if (cached && cached.data.modelVersion !== GAME_MODEL_VERSION) {
+    console.log(`Cached collection for ${username} uses game model v${cached.data.modelVersion || 0}, rebuilding`);
+    return null;
+  }
+  return cached;
+}
+
+// Collection checks in progress, keyed by cache key. Concurrent callers share one check
+// (at the priority of the caller that started it) instead of racing on the cache.
+const collectionChecks = new Map();
+
+// Check a collection for changes on BGG, attaching to a check or import already running for it
+function checkCollection(username, view, { priority = "interactive" } = {}) {
+  const key = view.cacheKey(username);
+  if (!collectionChecks.has(key)) {
+    // A running import rebuilds the whole collection, its result answers the check
+    const runningImport = jobs.findActive("collection-import", key);
+    const check = (runningImport
+      ? jobs.wait(runningImport.id).then(importedCollectionResult)
+      : checkForNewGames(username, { priority, view }))
+      .finally(() => collectionChecks.delete(key));
+    // Failures reach whoever waits for the check, they're only logged here
+    check.catch(err => console.error(`Check of ${view.label} for ${username} failed:`, err.message));
+    collectionChecks.set(key, check);
+  }
+  return collectionChecks.get(key);
+}
+
+// A finished import in the shape of a checkForNewGames result
+function importedCollectionResult(result) {
+  return {
+    hasNewGames: true,
+    totalGames: result.games.length,
+    newGamesCount: 0,
+    removedGamesCount: 0,
+    changedGamesCount: 0,
+    pendingGamesCount: result.games.filter(game => game.detailsPending).length,
+    fetchedAt: result.fetchedAt,
+    message: "Collection was imported again",
+    allGames: result.games
+  };
+}
+
+// Whether a collection is being checked or imported right now (for local collections,
+// whether details of its games are being fetched)
+function isCollectionUpdating(username, view) {
+  if (LocalCollectionManager.isLocalUsername(username)) {
+    return localDetailFetches.has(LocalCollectionManager.nameFromUsername(username));
+  }
+
+  const key = view.cacheKey(username);
+  return collectionChecks.has(key) || !!jobs.findActive("collection-import", key);
+}
+
+// Format a time in ms for API responses (null stays null)
+function toIsoTime(time) {
+  return time ? new Date(time).toISOString() : null;
+}
+
+async function checkForNewGames(username, { priority = "interactive", view = resolveCollectionView() } = {}) {
+  if (LocalCollectionManager.isLocalUsername(username)) {
+    return checkLocalCollection(username, view);
+  }
+
+  console.log(`Checking for new games in ${view.label} for ${username}...`);
   
   // Get fresh collection list
-  const { data: collectionData } = await bggApi.get(`/collection?username=${username}&own=1`);
-  const collectionParsed = await xml2js.parseStringPromise(collectionData, { explicitArray: false });
+  const { data: collectionData } = await bggGet(`/collection?username=${username}&${view.bggParams}`, priority);
+  const collectionParsed = await parseBggXml(collectionData);
 
   if (!collectionParsed.items || !collectionParsed.items.item) {
-    throw new Error("No games found in collection");
+    throw createHttpError(404, `No games found in ${view.label}`);
   }
 
-  const currentItems = Array.isArray(collectionParsed.items.item) 
-    ? collectionParsed.items.item 
-    : [collectionParsed.items.item];
+  const currentItems = toArray(collectionParsed.items.item);
 
   // Get current collection game IDs
   const currentGameIds = new Set(currentItems.map(item => item.$.objectid));
+  const currentItemsById = new Map(currentItems.map(item => [item.$.objectid, item]));
 
   // Load existing detailed cache
   let existingGames = [];
   let existingGameIds = new Set();
+  let detailsFetchedAt = {};
   
-  const cached = await cache.get(`${username}_detailed.json`);
+  const cached = await getCachedCollection(username, view);
   if (cached) {
     existingGames = cached.games || [];
-    existingGameIds = new Set(existingGames.map(game => game.$.id || game.$.objectid));
+    existingGameIds = new Set(existingGames.map(game => game.id));
+    // Copied: cached data is shared with the cache's memory tier
+    detailsFetchedAt = { ...cached.detailsFetchedAt };
   }
 
   // Find games that need to be added (new games)
@@ -163,45 +577,96 @@ async function checkForNewGames(username) {
   
   // Find games that need to be removed (no longer in collection)
   const removedGameIds = [...existingGameIds].filter(id => !currentGameIds.has(id));
-  
-  console.log(`Found ${newGameIds.length} new games, ${removedGameIds.length} removed games out of ${currentItems.length} total`);
 
-  // Start with existing games, filter out removed ones
-  let updatedGames = existingGames.filter(game => {
-    const gameId = game.$.id || game.$.objectid;
-    return currentGameIds.has(gameId);
-  });
+  // Find games whose collection entry changed (lastmodified, numplays, status, rating)
+  const keptGames = existingGames.filter(game => currentGameIds.has(game.id));
+  const changedGameIds = keptGames
+    .filter(game => collectionEntryChanged(game, currentItemsById.get(game.id)))
+    .map(game => game.id);
+
+  // Games whose details failed earlier are retried on every check
+  const pendingGameIds = keptGames
+    .filter(game => game.detailsPending && !changedGameIds.includes(game.id))
+    .map(game => game.id);
+  
+  console.log(`Found ${newGameIds.length} new games, ${removedGameIds.length} removed games, ${changedGameIds.length} changed games, ${pendingGameIds.length} games with pending details out of ${currentItems.length} total`);
 
-  let hasChanges = removedGameIds.length > 0;
+  const replacements = new Map();
   let newDetailedGames = [];
 
   // Fetch details for new games if any
   if (newGameIds.length > 0) {
-    newDetailedGames = await fetchGameDetails(newGameIds, currentItems);
-    updatedGames = [...updatedGames, ...newDetailedGames];
-    hasChanges = true;
+    newDetailedGames = await fetchGameDetails(newGameIds, currentItems, { priority });
+    for (const game of newDetailedGames) {
+      detailsFetchedAt[game.id] = new Date().toISOString();
+    }
+  }
+
+  // Changed games get their fresh collection entry, with details from the detail cache or BGG
+  const gameIdsToUpdate = [...changedGameIds, ...pendingGameIds];
+  if (gameIdsToUpdate.length > 0) {
+    for (const game of await fetchGameDetails(gameIdsToUpdate, currentItems, { priority })) {
+      // A retry that failed again is not a change
+      if (!(game.detailsPending && pendingGameIds.includes(game.id))) {
+        replacements.set(game.id, game);
+      }
+    }
+  }
+
+  // Background checks also re-fetch the oldest detail records, skipping the detail cache
+  let refreshedCount = 0;
+  if (priority === "background") {
+    const changedDetails = await refreshOldestDetails(keptGames, currentItemsById, detailsFetchedAt, {
+      fallbackFetchedAt: cached ? cached.fetchedAt : null,
+      exclude: new Set(changedGameIds)
+    });
+    refreshedCount = changedDetails.refreshedCount;
+    for (const game of changedDetails.games) {
+      replacements.set(game.id, game);
+    }
   }
 
-  // If no changes, return early
+  const changedGamesCount = replacements.size;
+  const hasChanges = removedGameIds.length > 0 || newDetailedGames.length > 0 || changedGamesCount > 0;
+
+  // Keep the collection order: existing games (updated in place), then new ones
+  const updatedGames = [
+    ...keptGames.map(game => replacements.get(game.id) || game),
+    ...newDetailedGames
+  ];
+
+  trackPendingDetails(username, view, updatedGames);
+
+  // If no changes, return early. Saving the collection again marks it as checked (fresh)
+  // and keeps the rolling refresh position if details were re-fetched.
   if (!hasChanges) {
+    const fetchedAt = new Date().toISOString();
+    if (cached) {
+      await cache.setCollection(view.cacheKey(username), { ...cached, detailsFetchedAt });
+    }
     return {
       hasNewGames: false,
       totalGames: currentItems.length,
       newGamesCount: 0,
       removedGamesCount: 0,
+      changedGamesCount: 0,
+      pendingGamesCount: pendingGameIds.length,
+      fetchedAt,
       message: "No changes found"
     };
   }
 
   // Save updated cache
   const result = {
+    modelVersion: GAME_MODEL_VERSION,
     totalitems: collectionParsed.items.$.totalitems,
     games: updatedGames,
+    detailsFetchedAt: pickGameIds(detailsFetchedAt, updatedGames),
     fetchedAt: new Date().toISOString()
   };
 
   // Debug logging for duplicates
-  const gameIds = updatedGames.map(game => game.$.id || game.$.objectid);
+  const gameIds = updatedGames.map(game => game.id);
   const uniqueIds = new Set(gameIds);
   if (gameIds.length !== uniqueIds.size) {
     console.log(`WARNING: Found ${gameIds.length - uniqueIds.size} duplicate games!`);
@@ -210,54 +675,245 @@ async function checkForNewGames(username) {
     console.log('Duplicate IDs:', [...new Set(duplicates)]);
   }
 
-  await cache.set(`${username}_detailed.json`, result);
-  console.log(`Updated cache: added ${newDetailedGames.length} new games, removed ${removedGameIds.length} games`);
+  await cache.setCollection(view.cacheKey(username), result);
+  recordCollectionHistory(username, view, updatedGames);
+  console.log(`Updated cache: added ${newDetailedGames.length} new games, removed ${removedGameIds.length} games, updated ${changedGamesCount} games`);
 
   return {
     hasNewGames: hasChanges,
     totalGames: updatedGames.length,
     newGamesCount: newGameIds.length,
     removedGamesCount: removedGameIds.length,
+    changedGamesCount,
+    pendingGamesCount: updatedGames.filter(game => game.detailsPending).length,
+    fetchedAt: result.fetchedAt,
     newGames: newDetailedGames,
     allGames: updatedGames
   };
 }
 
-async function fetchFullCollection(username, res, forceRefresh = false) {
-  // First, get the basic collection
-  let collectionData;
+// Local collections only change through their own routes, there is nothing to check on BGG.
+// They're rebuilt from the detail cache after any detail fetch still running for them and
+// compared with the collection as last served, so games served as detailsPending come back
+// with their details and an unchanged collection isn't sent again.
+async function checkLocalCollection(username, view) {
+  const detailFetch = localDetailFetches.get(LocalCollectionManager.nameFromUsername(username));
+  if (detailFetch) await detailFetch.done;
+
+  const cached = await cache.getCollection(view.cacheKey(username));
+  const collection = await getLocalCollection(username, view);
+  await cache.setCollection(view.cacheKey(username), collection);
+
+  const pendingGamesCount = collection.games.filter(game => game.detailsPending).length;
+  const previousGames = new Map(cached ? cached.data.games.map(game => [game.id, game]) : []);
+  const newGames = collection.games.filter(game => !previousGames.has(game.id));
+  const currentGameIds = new Set(collection.games.map(game => game.id));
+  const removedGamesCount = [...previousGames.keys()].filter(gameId => !currentGameIds.has(gameId)).length;
+  const changedGamesCount = collection.games
+    .filter(game => previousGames.has(game.id) && JSON.stringify(game) !== JSON.stringify(previousGames.get(game.id)))
+    .length;
+
+  if (cached && newGames.length === 0 && removedGamesCount === 0 && changedGamesCount === 0) {
+    return {
+      hasNewGames: false,
+      totalGames: collection.games.length,
+      newGamesCount: 0,
+      removedGamesCount: 0,
+      changedGamesCount: 0,
+      pendingGamesCount,
+      fetchedAt: collection.fetchedAt,
+      message: "No changes found"
+    };
+  }
+
+  return {
+    hasNewGames: true,
+    totalGames: collection.games.length,
+    newGamesCount: cached ? newGames.length : 0,
+    removedGamesCount,
+    changedGamesCount,
+    pendingGamesCount,
+    fetchedAt: collection.fetchedAt,
+    newGames: cached ? newGames : [],
+    allGames: collection.games
+  };
+}
+
+// Re-fetch details for the games whose details were fetched longest ago (at most
+// ROLLING_REFRESH_COUNT, and only once older than the detail cache TTL).
+// Returns the games whose details actually changed.
+async function refreshOldestDetails(games, currentItemsById, detailsFetchedAt, { fallbackFetchedAt = null, exclude = new Set() } = {}) {
+  const fetchedAt = (game) => new Date(detailsFetchedAt[game.id] || fallbackFetchedAt || 0).getTime();
+  const staleBefore = Date.now() - cache.thingTTL;
+
+  const oldest = games
+    .filter(game => !exclude.has(game.id) && fetchedAt(game) < staleBefore)
+    .sort((a, b) => fetchedAt(a) - fetchedAt(b))
+    .slice(0, ROLLING_REFRESH_COUNT);
+
+  if (oldest.length === 0) {
+    return { refreshedCount: 0, games: [] };
+  }
+
+  console.log(`Re-fetching details for ${oldest.length} games with the oldest details...`);
+
+  let things;
   try {
-    console.log(`Fetching collection from BGG for ${username}...`);
-    const response = await bggApi.get(`/collection?username=${username}&own=1`);
-    collectionData = response.data;
-    console.log(`BGG API returned status: ${response.status}`);
-    
-    // BGG API returns 202 when still processing, need to retry
-    if (response.status === 202) {
-      console.log(`BGG is still processing collection for ${username}, retrying in ${BGG_RATE_LIMIT_MS / 1000} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, BGG_RATE_LIMIT_MS));
-      const retryResponse = await bggApi.get(`/collection?username=${username}&own=1`);
-      collectionData = retryResponse.data;
-      console.log(`BGG API retry returned status: ${retryResponse.status}`);
+    things = await getThingDetails(oldest.map(game => game.id), { priority: "background", skipCache: true });
+  } catch (err) {
+    // Keep the existing details, the next background check tries again
+    console.error("Rolling detail refresh failed:", err.message);
+    return { refreshedCount: 0, games: [] };
+  }
+
+  const existingById = new Map(oldest.map(game => [game.id, game]));
+  const changedGames = [];
+
+  for (const thing of things) {
+    detailsFetchedAt[thing.id] = new Date().toISOString();
+    const game = withCollection(thing, currentItemsById.get(thing.id));
+    if (JSON.stringify(game) !== JSON.stringify(existingById.get(thing.id))) {
+      changedGames.push(game);
     }
-  } catch (error) {
-    console.error(`BGG API error for ${username}:`, error.response?.status, error.response?.statusText);
-    if (error.response?.status === 404) {
-      return res.status(404).json({ error: "User not found or collection is private" });
+  }
+
+  return { refreshedCount: things.length, games: changedGames };
+}
+
+// Keep only the entries of a per-game map for games still in the collection
+function pickGameIds(byGameId, games) {
+  return Object.fromEntries(games
+    .filter(game => byGameId[game.id])
+    .map(game => [game.id, byGameId[game.id]]));
+}
+
+// Record added/removed/status-changed games in the user's collection history
+function recordCollectionHistory(username, view, games) {
+  // A single wishlist priority is a partial list, recording it would show the rest as removed
+  if (view.wishlistPriority) return;
+
+  collectionHistory.record(username, view.status, games)
+    .catch(err => console.error(`Failed to record history for ${username}:`, err.message));
+}
+
+// Collections with games whose details are still pending, keyed by cache key.
+// The repair task re-checks them in the background until every game has details.
+const pendingDetailRepairs = new Map();
+
+function trackPendingDetails(username, view, games) {
+  const key = view.cacheKey(username);
+  const pendingCount = games.filter(game => game.detailsPending).length;
+
+  if (pendingCount > 0) {
+    console.log(`${pendingCount} games in ${view.label} for ${username} have pending details, scheduling repair`);
+    pendingDetailRepairs.set(key, { username, view });
+  } else {
+    pendingDetailRepairs.delete(key);
+  }
+}
+
+// Retry pending details for every tracked collection at background priority
+async function repairPendingDetails() {
+  for (const [key, { username, view }] of pendingDetailRepairs) {
+    try {
+      const result = await checkCollection(username, view, { priority: "background" });
+      console.log(`Detail repair for ${username} (${view.status}): ${result.pendingGamesCount} games still pending`);
+    } catch (err) {
+      console.error(`Detail repair for ${username} (${view.status}) failed:`, err.message);
+      // Collections that are gone or private are not retried
+      if (err.status === 404) pendingDetailRepairs.delete(key);
+    }
+  }
+}
+
+let detailRepairRunning = false;
+setInterval(async () => {
+  // A repair run waits for BGG's rate limit, don't let runs overlap
+  if (detailRepairRunning || pendingDetailRepairs.size === 0) return;
+  detailRepairRunning = true;
+  try {
+    await repairPendingDetails();
+  } catch (err) {
+    console.error("Detail repair failed:", err.message);
+  } finally {
+    detailRepairRunning = false;
+  }
+}, DETAIL_REPAIR_INTERVAL_MS);
+
+// Usernames whose collections the warm-up keeps fresh: the configured ones and every member
+// of a recent event's game group (local collections have nothing to warm)
+async function getWarmupUsernames() {
+  const since = new Date(Date.now() - WARMUP_EVENT_DAYS * 24 * 60 * 60 * 1000);
+  const eventUsernames = (await events.listCreatedSince(since)).flatMap(event => event.usernames);
+
+  return [...new Set([...WARMUP_USERNAMES, ...eventUsernames])]
+    .filter(username => username && !LocalCollectionManager.isLocalUsername(username));
+}
+
+// Import missing collections and re-check stale ones, one user at a time. Requests go through
+// the BGG scheduler like any other, imports and checks at background priority.
+async function warmUpCollections() {
+  const usernames = await getWarmupUsernames();
+  const view = resolveCollectionView();
+  const summary = { usernames: usernames.length, imported: 0, checked: 0, fresh: 0, failed: [] };
+
+  for (const username of usernames) {
+    try {
+      const cached = await getCachedCollectionEntry(username, view);
+      if (!cached) {
+        await jobs.wait(startCollectionImport(username, view, { priority: "background" }).id);
+        summary.imported++;
+      } else if (cached.stale) {
+        await checkCollection(username, view, { priority: "background" });
+        summary.checked++;
+      } else {
+        summary.fresh++;
+      }
+    } catch (err) {
+      console.error(`Cache warm-up for ${username} failed:`, err.message);
+      summary.failed.push({ username, error: err.message });
     }
-    throw error;
   }
+
+  return summary;
+}
+
+// Start a background job that imports the full collection for a user. While an import of
+// the same collection runs, callers get that job and follow its progress instead (at the
+// priority of the caller that started it).
+function startCollectionImport(username, view = resolveCollectionView(), { priority = "interactive" } = {}) {
+  const key = view.cacheKey(username);
+  const runningImport = jobs.findActive("collection-import", key);
+  if (runningImport) {
+    console.log(`Import of ${view.label} for ${username} already running (job ${runningImport.id})`);
+    return runningImport;
+  }
+
+  const job = jobs.create("collection-import", { username, status: view.status, wishlistPriority: view.wishlistPriority }, { key });
+  console.log(`Fetching fresh ${view.label} for ${username} (job ${job.id})...`);
+
+  return jobs.run(job, async reporter => {
+    // A check still running would overwrite the imported collection with its older result
+    await collectionChecks.get(key)?.catch(() => {});
+    return fetchFullCollection(username, view, reporter, { priority });
+  });
+}
+
+async function fetchFullCollection(username, view, reporter, { priority = "interactive" } = {}) {
+  // First, get the basic collection (bggGet keeps polling while BGG answers 202)
+  reporter.progress({ stage: "collection" });
+  console.log(`Fetching collection from BGG for ${username}...`);
+  const response = await bggGet(`/collection?username=${username}&${view.bggParams}`, priority);
+  console.log(`BGG API returned status: ${response.status}`);
   
-  const collectionParsed = await xml2js.parseStringPromise(collectionData, { explicitArray: false });
+  const collectionParsed = await parseBggXml(response.data);
 
   if (!collectionParsed.items || !collectionParsed.items.item) {
-    console.log(`No items found in collection for ${username}`);
-    return res.status(404).json({ error: "No games found in collection" });
+    console.log(`No items found in ${view.label} for ${username}`);
+    throw createHttpError(404, `No games found in ${view.label}`);
   }
 
-  const items = Array.isArray(collectionParsed.items.item) 
-    ? collectionParsed.items.item 
-    : [collectionParsed.items.item];
+  const items = toArray(collectionParsed.items.item);
 
   console.log(`Found ${items.length} games. Fetching detailed data...`);
 
@@ -272,11 +928,36 @@ async function fetchFullCollection(username, res, forceRefresh = false) {
     console.log('Collection duplicate IDs:', [...new Set(duplicates)]);
   }
   
-  // Fetch detailed data for all games
-  const detailedGames = await fetchGameDetails(gameIds, items);
+  // Fetch detailed data for all games, publishing each batch as it lands.
+  // Batch 0 holds the games already in the per-game detail cache.
+  const startedAt = Date.now();
+  let gamesFetched = 0;
+  reporter.progress({
+    stage: "details",
+    totalGames: uniqueCollectionIds.size,
+    gamesFetched: 0,
+    batchesDone: 0,
+    totalBatches: null,
+    etaSeconds: null
+  });
+
+  const onBatch = ({ batchesDone, totalBatches, games }) => {
+    gamesFetched += games.length;
+    const msPerBatch = batchesDone > 0 ? (Date.now() - startedAt) / batchesDone : null;
+
+    reporter.games(games);
+    reporter.progress({
+      gamesFetched,
+      batchesDone,
+      totalBatches,
+      etaSeconds: msPerBatch ? Math.round((msPerBatch * (totalBatches - batchesDone)) / 1000) : null
+    });
+  };
+
+  const detailedGames = await fetchGameDetails(gameIds, items, { onBatch, priority });
 
   // Debug logging for duplicates
-  const resultGameIds = detailedGames.map(game => game.$.id || game.$.objectid);
+  const resultGameIds = detailedGames.map(game => game.id);
   const uniqueIds = new Set(resultGameIds);
   if (resultGameIds.length !== uniqueIds.size) {
     console.log(`WARNING: fetchFullCollection found ${resultGameIds.length - uniqueIds.size} duplicate games!`);
@@ -284,22 +965,35 @@ async function fetchFullCollection(username, res, forceRefresh = false) {
     console.log('Duplicate IDs in fetchFullCollection:', [...new Set(duplicates)]);
   }
 
+  const fetchedAt = new Date().toISOString();
   const result = {
+    modelVersion: GAME_MODEL_VERSION,
     totalitems: collectionParsed.items.$.totalitems,
     games: detailedGames,
-    fetchedAt: new Date().toISOString()
+    // When each game's details were fetched, for the rolling refresh in checkForNewGames
+    detailsFetchedAt: Object.fromEntries(detailedGames.map(game => [game.id, fetchedAt])),
+    fetchedAt
   };
 
   // Cache the result
-  await cache.set(`${username}_detailed.json`, result);
+  await cache.setCollection(view.cacheKey(username), result);
   console.log(`Cached detailed data for ${detailedGames.length} games`);
+  trackPendingDetails(username, view, detailedGames);
+  recordCollectionHistory(username, view, detailedGames);
   
-  res.json(result);
+  return result;
 }
 
-async function fetchGameDetails(gameIds, collectionItems) {
+// Create an error carrying the HTTP status it should be reported with
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function fetchGameDetails(gameIds, collectionItems, { onBatch = null, priority = "interactive" } = {}) {
   const detailedGames = [];
-  const batchSize = 10;
+  const batchSize = BGG_BATCH_SIZE;
   
   // Debug: Check for duplicate IDs in input
   const uniqueInputIds = new Set(gameIds);
@@ -312,72 +1006,893 @@ async function fetchGameDetails(gameIds, collectionItems) {
   // Remove duplicates from input
   const uniqueGameIds = [...uniqueInputIds];
   console.log(`Processing ${uniqueGameIds.length} unique games (was ${gameIds.length})`);
+
+  // Details shared with other users' collections come from the per-game cache,
+  // only missing or stale games are sent to BGG
+  const { found: cachedThings, missing: idsToFetch } = await cache.getThings(uniqueGameIds);
+  for (const [gameId, entry] of cachedThings) {
+    // Entries written for another game model version are refetched
+    if (entry.modelVersion !== GAME_MODEL_VERSION) {
+      cachedThings.delete(gameId);
+      idsToFetch.push(gameId);
+    }
+  }
+  console.log(`${cachedThings.size} games served from detail cache, ${idsToFetch.length} to fetch from BGG`);
+
+  for (const [gameId, entry] of cachedThings) {
+    const collectionData = collectionItems.find(item => item.$.objectid === gameId);
+    if (collectionData) {
+      detailedGames.push(withCollection(entry.game, collectionData));
+    }
+  }
+
+  const totalBatches = Math.ceil(idsToFetch.length / batchSize);
+  if (onBatch) {
+    onBatch({ batchesDone: 0, totalBatches, games: [...detailedGames] });
+  }
   
   // Fetch games in batches
-  for (let i = 0; i < uniqueGameIds.length; i += batchSize) {
-    const batch = uniqueGameIds.slice(i, i + batchSize);
+  for (let i = 0; i < idsToFetch.length; i += batchSize) {
+    const batch = idsToFetch.slice(i, i + batchSize);
     const gameIdsStr = batch.join(',');
+    const batchStart = detailedGames.length;
     
     try {
-      console.log(`Fetching batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(uniqueGameIds.length/batchSize)}...`);
+      console.log(`Fetching batch ${Math.floor(i/batchSize) + 1}/${totalBatches}...`);
       
-      const { data: detailData } = await bggApi.get(`/thing?id=${gameIdsStr}&stats=1`);
-      const detailParsed = await xml2js.parseStringPromise(detailData, { explicitArray: false });
+      const { data: detailData } = await bggGet(`/thing?id=${gameIdsStr}&stats=1`, priority);
+      const detailParsed = await parseBggXml(detailData);
 
+      const returnedIds = new Set();
       if (detailParsed.items && detailParsed.items.item) {
-        const detailItems = Array.isArray(detailParsed.items.item) 
-          ? detailParsed.items.item 
-          : [detailParsed.items.item];
+        const detailItems = toArray(detailParsed.items.item);
 
         // Process each game
         for (const detailItem of detailItems) {
-          const gameId = detailItem.$.id;
-          const collectionData = collectionItems.find(item => item.$.objectid === gameId);
+          const thing = normalizeThing(detailItem);
+          const collectionData = collectionItems.find(item => item.$.objectid === thing.id);
+          await cache.setThing(thing.id, { modelVersion: GAME_MODEL_VERSION, game: thing });
+          returnedIds.add(thing.id);
           
           if (collectionData) {
-            const gameWithCollection = {
-              ...detailItem,
-              collectionData: collectionData
-            };
-            
-            detailedGames.push(gameWithCollection);
+            detailedGames.push(withCollection(thing, collectionData));
           }
         }
       }
 
-      // Rate limiting - wait 5 seconds between requests as per BGG API requirements
-      if (i + batchSize < uniqueGameIds.length) {
-        await new Promise(resolve => setTimeout(resolve, BGG_RATE_LIMIT_MS));
+      // Games BGG left out of the response are kept with their collection data only
+      for (const gameId of batch.filter(id => !returnedIds.has(id))) {
+        const collectionData = collectionItems.find(item => item.$.objectid === gameId);
+        if (collectionData) {
+          detailedGames.push(normalizeCollectionItem(collectionData));
+        }
       }
     } catch (batchError) {
       console.error(`Error fetching batch starting at ${i}:`, batchError.message);
-      // Add original items without detailed data if batch fails
+      // Add original items without detailed data if batch fails, flagged as detailsPending
+      // so later refreshes and the repair task retry them
       for (const gameId of batch) {
         const collectionData = collectionItems.find(item => item.$.objectid === gameId);
         if (collectionData) {
-          detailedGames.push(collectionData);
+          detailedGames.push(normalizeCollectionItem(collectionData));
         }
       }
     }
+
+    if (onBatch) {
+      onBatch({
+        batchesDone: Math.floor(i / batchSize) + 1,
+        totalBatches,
+        games: detailedGames.slice(batchStart)
+      });
+    }
   }
 
   return detailedGames;
 }
 
 // ============================================
-// Event API Routes
+// History Routes
 // ============================================
 
-// Create a new event
-app.post("/api/events", async (req, res) => {
+// Get the history of added, removed and status-changed games, e.g. ?from=2024-01-01&to=2024-06-30
+app.get("/api/collection/:username/history", async (req, res) => {
+  const username = req.params.username;
+
   try {
-    const { createdBy, name, scenario } = req.body;
-    
-    if (!createdBy) {
-      return res.status(400).json({ error: "createdBy (BGG username) is required" });
+    const view = resolveCollectionView(req.query);
+    const from = parseDateParam(req.query.from, "from");
+    const to = parseDateParam(req.query.to, "to", { endOfDay: true });
+
+    const entries = await collectionHistory.query(username, { status: view.status, from, to });
+    res.json({
+      username,
+      status: view.status,
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      entries
+    });
+  } catch (err) {
+    console.error(err.message);
+    sendError(res, err, "Failed to get collection history");
+  }
+});
+
+// Parse a date query parameter. Plain dates (YYYY-MM-DD) used as an upper bound include the whole day.
+function parseDateParam(value, name, { endOfDay = false } = {}) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(400, `Invalid ${name} date "${value}"`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+// ============================================
+// Search Routes
+// ============================================
+
+// Search BGG for games by name, e.g. to add a game a guest brings to an event
+app.get("/api/search", async (req, res) => {
+  const query = (req.query.q || "").trim();
+
+  if (query.length < 2) {
+    return res.status(400).json({ error: "Search query must be at least 2 characters" });
+  }
+
+  try {
+    let search = await cache.getSearch(query);
+
+    if (!search) {
+      const { data } = await bggGet(`/search?query=${encodeURIComponent(query)}&type=boardgame,boardgameexpansion`);
+      const parsed = await parseBggXml(data);
+      const items = toArray(parsed.items && parsed.items.item);
+
+      // BGG lists base games and expansions separately, keep the first hit per id
+      const ids = [...new Set(items.map(item => item.$.id))];
+      search = { total: ids.length, ids: ids.slice(0, MAX_SEARCH_RESULTS) };
+      await cache.setSearch(query, search);
+    }
+
+    const games = await getThingDetails(search.ids);
+    res.json({ query, total: search.total, games });
+  } catch (err) {
+    console.error(err.message);
+    sendError(res, err, "Failed to search games");
+  }
+});
+
+// Get normalised details for games outside any collection, through the shared detail cache
+// (or straight from BGG with `skipCache`). Returned games have `collection: null`.
+async function getThingDetails(gameIds, { priority = "interactive", skipCache = false } = {}) {
+  const { found, missing } = skipCache
+    ? { found: new Map(), missing: [...gameIds] }
+    : await getCachedThings(gameIds);
+
+  if (missing.length > 0) {
+    const { data } = await bggGet(`/thing?id=${missing.join(',')}&stats=1`, priority);
+    const parsed = await parseBggXml(data);
+
+    for (const item of toArray(parsed.items && parsed.items.item)) {
+      const entry = { modelVersion: GAME_MODEL_VERSION, game: normalizeThing(item) };
+      await cache.setThing(entry.game.id, entry);
+      found.set(entry.game.id, entry);
+    }
+  }
+
+  return gameIds
+    .filter(gameId => found.has(gameId))
+    .map(gameId => ({ ...found.get(gameId).game, collection: null, detailsPending: false }));
+}
+
+// Read games from the shared detail cache only ({ found, missing } as for cache.getThings).
+// Entries built with an older game model count as missing.
+async function getCachedThings(gameIds) {
+  const { found, missing } = await cache.getThings(gameIds);
+  for (const [gameId, entry] of found) {
+    if (entry.modelVersion !== GAME_MODEL_VERSION) {
+      found.delete(gameId);
+      missing.push(gameId);
+    }
+  }
+  return { found, missing };
+}
+
+// ============================================
+// Local Collection API Routes
+// ============================================
+
+// Create a local collection for a player without a BGG account. The response includes
+// the editToken needed to change it; it is served as /api/collection/local:<name>.
+app.post("/api/local-collections", async (req, res) => {
+  try {
+    const name = String((req.body && req.body.name) || "").trim().toLowerCase();
+
+    if (!LocalCollectionManager.isValidName(name)) {
+      return res.status(400).json({ error: "name is required (up to 40 letters, digits, - and _)" });
+    }
+
+    const collection = await localCollections.create(name);
+    if (!collection) {
+      return res.status(409).json({ error: `Local collection "${name}" already exists` });
+    }
+
+    res.status(201).json({ ...collection, username: LocalCollectionManager.usernameFor(name) });
+  } catch (error) {
+    console.error("Error creating local collection:", error.message);
+    res.status(500).json({ error: "Failed to create local collection" });
+  }
+});
+
+// Names are used as file names, so anything that isn't a valid name is not found
+app.use("/api/local-collections/:name", (req, res, next) => {
+  if (!LocalCollectionManager.isValidName(req.params.name)) {
+    return res.status(404).json({ error: "Local collection not found" });
+  }
+  next();
+});
+
+// Get a local collection's stored games (public - strips editToken)
+app.get("/api/local-collections/:name", async (req, res) => {
+  try {
+    const collection = await localCollections.getPublic(req.params.name);
+
+    if (!collection) {
+      return res.status(404).json({ error: "Local collection not found" });
+    }
+
+    res.json({ ...collection, username: LocalCollectionManager.usernameFor(collection.name) });
+  } catch (error) {
+    console.error("Error getting local collection:", error.message);
+    res.status(500).json({ error: "Failed to get local collection" });
+  }
+});
+
+// Delete a local collection (requires editToken)
+app.delete("/api/local-collections/:name", async (req, res) => {
+  try {
+    await verifyEditToken(req);
+    await localCollections.delete(req.params.name);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error deleting local collection:", err.message);
+    sendError(res, err, "Failed to delete local collection");
+  }
+});
+
+// Add games by BGG id (requires editToken), e.g. { games: [{ id: "174430", condition: "Sleeved" }] }
+app.post("/api/local-collections/:name/games", async (req, res) => {
+  try {
+    await verifyEditToken(req);
+
+    const games = req.body && req.body.games;
+    if (!Array.isArray(games) || games.length === 0) {
+      throw createHttpError(400, "games must be a non-empty array of { id, condition }");
+    }
+
+    const result = await addLocalGames(req.params.name, games.map(game => ({
+      id: String(game && game.id || "").trim(),
+      name: null,
+      condition: game && game.condition
+    })));
+    res.json(result);
+  } catch (err) {
+    console.error("Error adding games to local collection:", err.message);
+    sendError(res, err, "Failed to add games");
+  }
+});
+
+// Import games from a CSV upload (requires editToken): a BGG id column and optional
+// condition notes; this app's exports and BGG's collection CSV work as-is
+app.post("/api/local-collections/:name/import", express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }), async (req, res) => {
+  try {
+    await verifyEditToken(req);
+
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      throw createHttpError(400, "Send the CSV as the request body with Content-Type: text/csv");
+    }
+
+    const { games, skipped } = readGameCsv(req.body);
+    if (games.length === 0) {
+      throw createHttpError(400, "No BGG game ids found in the CSV");
+    }
+
+    const result = await addLocalGames(req.params.name, games);
+    res.json({ ...result, skipped });
+  } catch (err) {
+    console.error("Error importing local collection CSV:", err.message);
+    sendError(res, err, "Failed to import CSV");
+  }
+});
+
+// Update a game's condition notes (requires editToken)
+app.patch("/api/local-collections/:name/games/:gameId", async (req, res) => {
+  try {
+    await verifyEditToken(req);
+
+    const condition = readCondition(req.body && req.body.condition);
+    const collection = await localCollections.updateGame(req.params.name, req.params.gameId, { condition });
+    if (!collection) {
+      throw createHttpError(404, "Game not found in local collection");
+    }
+
+    res.json(await localCollectionChanged(collection));
+  } catch (err) {
+    console.error("Error updating local collection game:", err.message);
+    sendError(res, err, "Failed to update game");
+  }
+});
+
+// Remove a game (requires editToken)
+app.delete("/api/local-collections/:name/games/:gameId", async (req, res) => {
+  try {
+    await verifyEditToken(req);
+
+    const collection = await localCollections.removeGame(req.params.name, req.params.gameId);
+    res.json(await localCollectionChanged(collection));
+  } catch (err) {
+    console.error("Error removing game from local collection:", err.message);
+    sendError(res, err, "Failed to remove game");
+  }
+});
+
+// Check the X-Edit-Token header against a local collection, throwing 401/403/404 errors
+async function verifyEditToken(req) {
+  const editToken = req.headers['x-edit-token'];
+
+  if (!editToken) {
+    throw createHttpError(401, "Edit token required");
+  }
+  if (!(await localCollections.get(req.params.name))) {
+    throw createHttpError(404, "Local collection not found");
+  }
+  if (!(await localCollections.verifyToken(req.params.name, editToken))) {
+    throw createHttpError(403, "Invalid edit token");
+  }
+}
+
+function readCondition(value) {
+  if (value === undefined || value === null) return null;
+  return String(value).trim().slice(0, MAX_CONDITION_LENGTH) || null;
+}
+
+// Add games to a local collection right away. Details that aren't cached are fetched in the
+// background (the games are served as detailsPending meanwhile); ids BGG doesn't know are
+// removed from the collection once that fetch is done.
+async function addLocalGames(name, entries) {
+  const invalid = entries.filter(entry => !/^\d+$/.test(entry.id));
+  if (invalid.length > 0) {
+    throw createHttpError(400, `Invalid BGG game ids: ${invalid.map(entry => entry.id || "(empty)").join(", ")}`);
+  }
+
+  const gameIds = [...new Set(entries.map(entry => entry.id))];
+  if (gameIds.length > MAX_LOCAL_GAMES_PER_REQUEST) {
+    throw createHttpError(400, `At most ${MAX_LOCAL_GAMES_PER_REQUEST} games can be added at once`);
+  }
+
+  const { found, missing } = await getCachedThings(gameIds);
+  const games = entries.map(entry => ({
+    id: entry.id,
+    name: found.has(entry.id) ? found.get(entry.id).game.name : (entry.name || null),
+    condition: readCondition(entry.condition)
+  }));
+
+  const result = await localCollections.addGames(name, games);
+  if (!result) {
+    throw createHttpError(404, "Local collection not found");
+  }
+
+  // Building the response starts the detail fetch for the added games
+  return {
+    ...(await localCollectionChanged(result.collection)),
+    added: result.added,
+    updated: result.updated,
+    pending: missing
+  };
+}
+
+// Record a local collection change in the history and build the response for it
+async function localCollectionChanged(collection) {
+  const username = LocalCollectionManager.usernameFor(collection.name);
+  const { games } = await getLocalCollection(username, resolveCollectionView());
+  recordCollectionHistory(username, resolveCollectionView(), games);
+
+  const { editToken, ...safeCollection } = collection;
+  return { ...safeCollection, username };
+}
+
+// Build a local collection in the collection API shape: BGG details from the shared detail
+// cache, with the owner's condition notes as the collection entry. Local collections only
+// hold owned games, other views are empty. Games whose details aren't cached are served as
+// detailsPending while they're fetched in the background.
+async function getLocalCollection(username, view) {
+  const name = LocalCollectionManager.nameFromUsername(username);
+  const collection = name && await localCollections.get(name);
+  if (!collection) {
+    throw createHttpError(404, `Local collection "${name || username}" not found`);
+  }
+
+  const localGames = view.status === "owned" ? collection.games : [];
+  const { found, missing } = await getCachedThings(localGames.map(game => game.id));
+  const games = localGames.map(game => withLocalCollection(found.has(game.id) ? found.get(game.id).game : null, game));
+  const result = {
+    modelVersion: GAME_MODEL_VERSION,
+    local: true,
+    totalitems: String(games.length),
+    games,
+    fetchedAt: collection.updatedAt
+  };
+
+  if (missing.length > 0) {
+    fetchLocalGameDetails(name, missing);
+    // Remembered as last served, so the next check reports the details coming in
+    await cache.setCollection(view.cacheKey(username), result);
+  }
+
+  return result;
+}
+
+// Detail fetches for local collections in progress, keyed by collection name:
+// { gameIds, done } with the ids being fetched and a promise settled when they're done
+const localDetailFetches = new Map();
+
+// Fetch uncached details for a local collection's games into the detail cache at background
+// priority. Callers share the fetch already running for the collection; games it doesn't
+// cover are fetched after it.
+function fetchLocalGameDetails(name, gameIds) {
+  const running = localDetailFetches.get(name);
+  const newGameIds = running ? gameIds.filter(gameId => !running.gameIds.has(gameId)) : gameIds;
+  if (newGameIds.length === 0) {
+    return running.done;
+  }
+
+  const done = (running ? running.done : Promise.resolve())
+    .then(() => {
+      console.log(`Fetching details for ${newGameIds.length} games in local collection ${name}`);
+      return getLocalGameDetails(newGameIds, { priority: "background" });
+    })
+    .then(async ({ things, failedIds }) => {
+      if (failedIds.size > 0) {
+        console.log(`Details for ${failedIds.size} games in local collection ${name} are still pending`);
+      }
+
+      const names = new Map([...things].map(([gameId, game]) => [gameId, game.name]));
+      const unknownIds = newGameIds.filter(gameId => !things.has(gameId) && !failedIds.has(gameId));
+      if (unknownIds.length > 0) {
+        console.log(`Removing ${unknownIds.length} games BGG doesn't know from local collection ${name}: ${unknownIds.join(", ")}`);
+      }
+
+      const collection = await localCollections.resolveGames(name, names, unknownIds);
+      if (collection) {
+        await localCollectionChanged(collection);
+      }
+    })
+    .catch(err => console.error(`Fetching details for local collection ${name} failed:`, err.message))
+    .finally(() => {
+      if (localDetailFetches.get(name).done === done) {
+        localDetailFetches.delete(name);
+      }
+    });
+
+  localDetailFetches.set(name, { gameIds: new Set([...(running ? running.gameIds : []), ...newGameIds]), done });
+  return done;
+}
+
+// Get details for local collection games in /thing batches. Ids in a failed batch are
+// returned in `failedIds`; ids BGG didn't return at all are simply missing from `things`.
+async function getLocalGameDetails(gameIds, { priority = "interactive" } = {}) {
+  const things = new Map();
+  const failedIds = new Set();
+
+  for (let i = 0; i < gameIds.length; i += BGG_BATCH_SIZE) {
+    const batch = gameIds.slice(i, i + BGG_BATCH_SIZE);
+    try {
+      for (const game of await getThingDetails(batch, { priority })) {
+        things.set(game.id, game);
+      }
+    } catch (batchError) {
+      console.error(`Error fetching local collection details for ${batch.join(',')}:`, batchError.message);
+      batch.forEach(gameId => failedIds.add(gameId));
+    }
+  }
+
+  return { things, failedIds };
+}
+
+// ============================================
+// Play History Routes
+// ============================================
+
+// Get per-game play statistics (play count, last played, players) from the user's logged plays
+app.get("/api/collection/:username/plays", async (req, res) => {
+  const username = req.params.username;
+  const forceRefresh = req.query.refresh === 'true';
+
+  // Local collections have no logged plays on BGG
+  if (LocalCollectionManager.isLocalUsername(username)) {
+    return res.json({ username, totalPlays: 0, fetchedAt: null, games: {} });
+  }
+
+  try {
+    let history = await cache.get(getPlaysCacheKey(username));
+
+    if (history) {
+      if (forceRefresh) {
+        history = await updatePlayHistory(username, history);
+        return res.json(toPlayStats(history));
+      }
+
+      res.json({ ...toPlayStats(history), fromCache: true });
+
+      // Pick up newly logged plays in the background
+      if (Date.now() - new Date(history.fetchedAt).getTime() > PLAYS_REFRESH_INTERVAL_MS) {
+        updatePlayHistory(username, history, "background").catch(console.error);
+      }
+      return;
+    }
+
+    // A long play history takes one rate-limited request per 100 plays, so import it as a job
+    const job = startPlaysImport(username);
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      progressUrl: `/api/jobs/${job.id}/events`
+    });
+  } catch (err) {
+    console.error(err.message);
+    sendError(res, err, "Failed to fetch play history");
+  }
+});
+
+function getPlaysCacheKey(username) {
+  return `${username}_plays.json`;
+}
+
+// Response shape for the plays route: per-game statistics keyed by game id
+function toPlayStats(history) {
+  return {
+    username: history.username,
+    totalPlays: history.plays.reduce((sum, play) => sum + play.quantity, 0),
+    fetchedAt: history.fetchedAt,
+    games: summarizePlays(history.plays)
+  };
+}
+
+// Fetch /plays page by page. With `minDate`, only plays logged on or after that date are fetched.
+async function fetchPlays(username, { minDate = null, priority = "interactive", onPage = null } = {}) {
+  const plays = [];
+  const dateFilter = minDate ? `&mindate=${minDate}` : "";
+  let totalPages = 1;
+
+  for (let page = 1; page <= totalPages; page++) {
+    const { data } = await bggGet(`/plays?username=${username}${dateFilter}&page=${page}`, priority);
+    const parsed = await parseBggXml(data);
+
+    // Unknown users get an HTML error box instead of a <plays> document
+    if (!parsed || !parsed.plays) {
+      throw new BggNotFoundError();
+    }
+
+    const pageData = readPlaysPage(parsed);
+    plays.push(...pageData.plays);
+    totalPages = Math.ceil(pageData.total / PLAYS_PAGE_SIZE);
+
+    if (onPage) {
+      onPage({ pagesFetched: page, totalPages, playsFetched: plays.length, totalPlays: pageData.total });
+    }
+  }
+
+  return plays;
+}
+
+// Start a background job that imports a user's full play history. While an import for the
+// same user runs, callers get that job and follow its progress instead.
+function startPlaysImport(username) {
+  const key = getPlaysCacheKey(username);
+  const runningImport = jobs.findActive("plays-import", key);
+  if (runningImport) {
+    console.log(`Play history import for ${username} already running (job ${runningImport.id})`);
+    return runningImport;
+  }
+
+  const job = jobs.create("plays-import", { username }, { key });
+  console.log(`Fetching play history for ${username} (job ${job.id})...`);
+
+  return jobs.run(job, async reporter => {
+    reporter.progress({ stage: "plays" });
+    const plays = await fetchPlays(username, { onPage: page => reporter.progress(page) });
+
+    const history = { username, plays: mergePlays([], plays), fetchedAt: new Date().toISOString() };
+    await cache.set(key, history);
+    console.log(`Cached ${plays.length} logged plays for ${username}`);
+
+    // The statistics are returned too, so clients don't depend on reading the cache back
+    return { totalitems: plays.length, ...toPlayStats(history) };
+  });
+}
+
+// Fetch plays logged since the newest cached play and merge them into the history.
+// Plays deleted on BGG stay in the history until the cache entry expires.
+async function updatePlayHistory(username, history, priority = "interactive") {
+  const minDate = latestPlayDate(history.plays);
+  console.log(`Checking for new plays for ${username} since ${minDate || "the beginning"}...`);
+
+  const newPlays = await fetchPlays(username, { minDate, priority });
+  const updated = {
+    username,
+    plays: mergePlays(history.plays, newPlays),
+    fetchedAt: new Date().toISOString()
+  };
+
+  await cache.set(getPlaysCacheKey(username), updated);
+  console.log(`Updated play history for ${username}: ${updated.plays.length - history.plays.length} new plays`);
+
+  return updated;
+}
+
+// ============================================
+// Job API Routes
+// ============================================
+
+// Get the status of a background job
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.json(jobs.toPublic(job));
+});
+
+// What a finished job's "complete" event carries: the import summary, plus the statistics of a
+// play history import (collection imports stream their games while they run instead)
+function completeEventData(job, result) {
+  const data = { totalitems: result.totalitems, fetchedAt: result.fetchedAt };
+  if (job.type === "plays-import") {
+    data.games = result.games;
+  }
+  return data;
+}
+
+// Stream job progress as Server-Sent Events
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = jobs.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Catch up on everything that happened before this client connected
+  send("progress", job.progress);
+  if (job.games.length > 0) {
+    send("games", job.games);
+  }
+
+  if (job.status === "completed") {
+    send("complete", completeEventData(job, job.result));
+    return res.end();
+  }
+  if (job.status === "failed") {
+    send("failed", job.error);
+    return res.end();
+  }
+
+  // Keep the connection alive through proxies
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+
+  const unsubscribe = jobs.subscribe(job.id, {
+    onProgress: progress => send("progress", progress),
+    onGames: games => send("games", games),
+    onComplete: result => {
+      send("complete", completeEventData(job, result));
+      close();
+    },
+    onFailed: error => {
+      send("failed", error);
+      close();
+    }
+  });
+
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// ============================================
+// Admin API Routes
+// ============================================
+
+// Every /api/admin route needs the X-Admin-Token header to match ADMIN_TOKEN
+app.use("/api/admin", (req, res, next) => {
+  const adminToken = req.headers['x-admin-token'];
+
+  if (!ADMIN_TOKEN) {
+    return res.status(404).json({ error: "Admin API is disabled (ADMIN_TOKEN is not set)" });
+  }
+  if (!adminToken) {
+    return res.status(401).json({ error: "Admin token required" });
+  }
+  if (!tokensMatch(adminToken, ADMIN_TOKEN)) {
+    return res.status(403).json({ error: "Invalid admin token" });
+  }
+  next();
+});
+
+// Compare tokens in constant time (hashed first, so their lengths don't leak either)
+function tokensMatch(given, expected) {
+  const digest = (token) => crypto.createHash('sha256').update(String(token)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// Every cache key that can hold a user's data: their collection in each view and their plays
+function getUserCacheKeys(username) {
+  const views = [
+    ...Object.keys(COLLECTION_STATUSES).map(status => resolveCollectionView({ status })),
+    ...[1, 2, 3, 4, 5].map(priority => resolveCollectionView({ status: "wishlist", wishlistpriority: String(priority) }))
+  ];
+  return [...views.map(view => view.cacheKey(username)), getPlaysCacheKey(username)];
+}
+
+// List cache entries with their size, age and TTL, e.g. ?pattern=thing_*
+app.get("/api/admin/cache", async (req, res) => {
+  try {
+    const entries = await cache.listEntries({ pattern: req.query.pattern || null });
+    res.json({
+      stats: await cache.getStats(),
+      total: entries.length,
+      totalSize: entries.reduce((total, entry) => total + entry.size, 0),
+      entries
+    });
+  } catch (err) {
+    console.error("Error listing cache entries:", err.message);
+    sendError(res, err, "Failed to list cache entries");
+  }
+});
+
+// Metadata of one cache entry
+app.get("/api/admin/cache/entries/:key", async (req, res) => {
+  try {
+    const metadata = await cache.getMetadata(req.params.key);
+    if (!metadata) {
+      return res.status(404).json({ error: "Cache entry not found" });
+    }
+    res.json({ key: req.params.key, metadata });
+  } catch (err) {
+    console.error("Error reading cache entry:", err.message);
+    sendError(res, err, "Failed to read cache entry");
+  }
+});
+
+// Delete one cache entry
+app.delete("/api/admin/cache/entries/:key", async (req, res) => {
+  try {
+    const deleted = await cache.delete(req.params.key);
+    if (!deleted) {
+      return res.status(404).json({ error: "Cache entry not found" });
+    }
+    console.log(`Admin: purged cache entry ${req.params.key}`);
+    res.json({ deletedKeys: [req.params.key] });
+  } catch (err) {
+    console.error("Error purging cache entry:", err.message);
+    sendError(res, err, "Failed to purge cache entry");
+  }
+});
+
+// Delete the cache entries matching ?pattern= ("*" matches anything)
+app.delete("/api/admin/cache/entries", async (req, res) => {
+  const pattern = String(req.query.pattern || '').trim();
+  if (!pattern) {
+    return res.status(400).json({ error: "pattern query parameter is required (e.g. thing_*)" });
+  }
+
+  try {
+    const deletedKeys = await cache.deleteMatching(pattern);
+    console.log(`Admin: purged ${deletedKeys.length} cache entries matching ${pattern}`);
+    res.json({ deletedKeys });
+  } catch (err) {
+    console.error("Error purging cache entries:", err.message);
+    sendError(res, err, "Failed to purge cache entries");
+  }
+});
+
+// Delete everything cached for a user (collections of every status and plays)
+app.delete("/api/admin/cache/users/:username", async (req, res) => {
+  const username = req.params.username;
+
+  try {
+    const deletedKeys = [];
+    for (const key of getUserCacheKeys(username)) {
+      pendingDetailRepairs.delete(key);
+      if (await cache.delete(key)) deletedKeys.push(key);
+    }
+    console.log(`Admin: purged ${deletedKeys.length} cache entries for ${username}`);
+    res.json({ username, deletedKeys });
+  } catch (err) {
+    console.error(`Error purging cache for ${username}:`, err.message);
+    sendError(res, err, "Failed to purge user cache");
+  }
+});
+
+// Run the cache cleanup (expired entries, size limit, leftovers of interrupted writes) now
+app.post("/api/admin/cache/cleanup", async (req, res) => {
+  console.log("Admin: cache cleanup requested");
+
+  try {
+    const result = await cache._cleanup();
+    res.json({ ...result, stats: await cache.getStats() });
+  } catch (err) {
+    console.error("Error running cache cleanup:", err.message);
+    sendError(res, err, "Failed to run cache cleanup");
+  }
+});
+
+// Import a user's collection from BGG again, even when it is cached (?status= as for collections)
+app.post("/api/admin/collections/:username/refresh", (req, res) => {
+  const username = req.params.username;
+
+  try {
+    if (LocalCollectionManager.isLocalUsername(username)) {
+      throw createHttpError(400, "Local collections are not imported from BGG");
+    }
+
+    const view = resolveCollectionView(req.query);
+    const job = startCollectionImport(username, view);
+    console.log(`Admin: forced import of ${view.label} for ${username} (job ${job.id})`);
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      progressUrl: `/api/jobs/${job.id}/events`
+    });
+  } catch (err) {
+    sendError(res, err, "Failed to start collection import");
+  }
+});
+
+// ============================================
+// Event API Routes
+// ============================================
+
+// Create a new event
+app.post("/api/events", async (req, res) => {
+  try {
+    const { createdBy, name, scenario } = req.body;
+    
+    if (!createdBy) {
+      return res.status(400).json({ error: "createdBy (BGG username) is required" });
+    }
+
+    // Every member of a game group, the creator first
+    const usernames = [...new Set([createdBy, ...toArray(req.body.usernames)]
+      .map(username => String(username).trim())
+      .filter(Boolean))];
+    if (usernames.length > MAX_GROUP_USERS) {
+      return res.status(400).json({ error: `At most ${MAX_GROUP_USERS} usernames can be given` });
     }
     
-    const event = await events.create({ createdBy, name, scenario });
+    const event = await events.create({ createdBy, usernames, name, scenario });
     res.status(201).json(event);
   } catch (error) {
     console.error("Error creating event:", error.message);
@@ -553,4 +2068,5 @@ app.patch("/api/events/:id", async (req, res) => {
 
 app.listen(port, () => {
   console.log(`Backend running on http://localhost:${port}`);
+  if (warmup) warmup.start();
 });
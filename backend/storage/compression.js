@@ -0,0 +1,58 @@
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+const brotliCompress = promisify(zlib.brotliCompress);
+
+// Compression of stored entry data, selected by CACHE_COMPRESSION (default "gzip").
+// Compressed data starts with its algorithm ("gzip:" or "brotli:"); anything else is plain
+// JSON, which never starts with a letter of those, so entries written uncompressed still read.
+const COMPRESSIONS = ["gzip", "brotli", "none"];
+
+const codecs = {
+  gzip: {
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip)
+  },
+  brotli: {
+    // The default quality (11) takes seconds for a large collection
+    compress: (buffer) => brotliCompress(buffer, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }),
+    decompress: promisify(zlib.brotliDecompress)
+  }
+};
+
+function assertCompression(compression) {
+  if (!COMPRESSIONS.includes(compression)) {
+    throw new Error(`Unknown CACHE_COMPRESSION "${compression}". Use one of: ${COMPRESSIONS.join(", ")}`);
+  }
+}
+
+// Serialise data to JSON, compressed unless `compression` is "none"
+async function encodeData(data, compression) {
+  const json = Buffer.from(JSON.stringify(data));
+  if (compression === "none") return json;
+
+  assertCompression(compression);
+  return Buffer.concat([Buffer.from(`${compression}:`), await codecs[compression].compress(json)]);
+}
+
+// Parse data written by encodeData (a Buffer, or a string for plain JSON)
+async function decodeData(content) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+  for (const [compression, codec] of Object.entries(codecs)) {
+    const prefix = `${compression}:`;
+    if (buffer.toString("latin1", 0, prefix.length) === prefix) {
+      const json = await codec.decompress(buffer.subarray(prefix.length));
+      return JSON.parse(json.toString());
+    }
+  }
+
+  return JSON.parse(buffer.toString());
+}
+
+module.exports = {
+  COMPRESSIONS,
+  assertCompression,
+  encodeData,
+  decodeData
+};
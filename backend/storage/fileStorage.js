@@ -0,0 +1,269 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const os = require("os");
+const path = require("path");
+const { encodeData, decodeData } = require("./compression");
+
+// A lock older than this was left behind by a crashed or stuck writer and may be broken
+const LOCK_STALE_MS = 30 * 1000;
+
+// How long a write waits for another process's lock before it fails
+const LOCK_WAIT_MS = 10 * 1000;
+
+const LOCK_RETRY_MS = 50;
+
+// Whether a process on this host is still running
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+// Cache entries as files in a directory, one file per key (the original storage).
+// A file holds the entry's metadata as one line of JSON, then its (compressed) data.
+// Several processes may share the directory: writes take an exclusive lock file per key.
+class FileStorage {
+  constructor(cacheDir, { compression = "gzip", lockStaleMs = LOCK_STALE_MS, lockWaitMs = LOCK_WAIT_MS } = {}) {
+    this.name = "file";
+    this.cacheDir = cacheDir;
+    this.compression = compression;
+    this.lockStaleMs = lockStaleMs;
+    this.lockWaitMs = lockWaitMs;
+  }
+
+  async init() {
+    await fs.mkdir(this.cacheDir, { recursive: true });
+  }
+
+  // Get cache file path for a key
+  _getFilePath(key) {
+    // Sanitize key for filesystem
+    const sanitizedKey = key.replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.cacheDir, `${sanitizedKey}.json`);
+  }
+
+  // Atomic write under the file's lock
+  async _atomicWrite(filePath, data) {
+    const lockPath = filePath + '.lock';
+    // Unique per write, so a writer whose lock was broken can't write into another write's file
+    const tempPath = `${filePath}.${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.tmp`;
+    const owner = await this._acquireLock(lockPath);
+
+    try {
+      await fs.writeFile(tempPath, data);
+
+      // Atomic rename: readers see either the previous version or the new one
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    } finally {
+      await this._releaseLock(lockPath, owner);
+    }
+  }
+
+  // Take the write lock for a file. The lock file is created exclusively (O_EXCL) and records
+  // its owner, so a lock left behind by a crashed process can be recognised and broken.
+  async _acquireLock(lockPath) {
+    const owner = JSON.stringify({ pid: process.pid, hostname: os.hostname(), timestamp: Date.now() });
+    const deadline = Date.now() + this.lockWaitMs;
+
+    while (true) {
+      try {
+        await fs.writeFile(lockPath, owner, { flag: 'wx' });
+        return owner;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      if (await this._breakStaleLock(lockPath)) {
+        console.log(`Cache lock ${path.basename(lockPath)} was stale, broke it`);
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the lock on ${path.basename(lockPath, '.lock')}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  // Release a lock, unless it was broken as stale and another writer holds it now
+  async _releaseLock(lockPath, owner) {
+    const current = await fs.readFile(lockPath, 'utf-8').catch(() => null);
+    if (current === owner) {
+      await fs.unlink(lockPath).catch(() => {});
+    }
+  }
+
+  // Remove a lock whose owner process is gone (same host) or that is older than lockStaleMs.
+  // Returns whether it was removed.
+  async _breakStaleLock(lockPath) {
+    let content;
+    let stats;
+    try {
+      content = await fs.readFile(lockPath, 'utf-8');
+      stats = await fs.stat(lockPath);
+    } catch (error) {
+      // Released meanwhile
+      return false;
+    }
+
+    let owner = null;
+    try {
+      owner = JSON.parse(content);
+    } catch (error) {
+      // Still being written by its owner, judged by the file's age
+    }
+
+    const age = Date.now() - (owner ? owner.timestamp : stats.mtimeMs);
+    const ownerGone = !!owner && owner.hostname === os.hostname() && !isProcessAlive(owner.pid);
+    if (age <= this.lockStaleMs && !ownerGone) return false;
+
+    // Only remove the lock that was judged stale, not one taken since
+    const current = await fs.readFile(lockPath, 'utf-8').catch(() => null);
+    if (current !== content) return false;
+    await fs.unlink(lockPath).catch(() => {});
+    return true;
+  }
+
+  // Files written before compression are the whole entry as pretty-printed JSON, starting
+  // with "{" and a line break. A compact metadata line never has that line break.
+  _isLegacyFile(content) {
+    return content[0] === 0x7b && content[1] === 0x0a;
+  }
+
+  _readMetadata(content) {
+    if (this._isLegacyFile(content)) return JSON.parse(content.toString()).metadata;
+    return JSON.parse(content.toString('utf-8', 0, content.indexOf(0x0a)));
+  }
+
+  // Reads never wait for writers, they get the previous version until the rename
+  async get(key) {
+    let content;
+    try {
+      content = await fs.readFile(this._getFilePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (this._isLegacyFile(content)) return JSON.parse(content.toString());
+    return {
+      metadata: this._readMetadata(content),
+      data: await decodeData(content.subarray(content.indexOf(0x0a) + 1))
+    };
+  }
+
+  async set(key, entry) {
+    const content = Buffer.concat([
+      Buffer.from(JSON.stringify(entry.metadata) + '\n'),
+      await encodeData(entry.data, this.compression)
+    ]);
+    await this._atomicWrite(this._getFilePath(key), content);
+    return content.length;
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this._getFilePath(key));
+      return true;
+    } catch (error) {
+      // File might not exist, that's okay
+      return false;
+    }
+  }
+
+  async exists(key) {
+    return fsSync.existsSync(this._getFilePath(key));
+  }
+
+  // Cache files with their metadata. Corrupted files are deleted on the way.
+  async list() {
+    const files = await fs.readdir(this.cacheDir);
+    const cacheFiles = files.filter(f => f.endsWith('.json'));
+    const entries = [];
+
+    for (const file of cacheFiles) {
+      const filePath = path.join(this.cacheDir, file);
+      try {
+        const stats = await fs.stat(filePath);
+        const metadata = this._readMetadata(await fs.readFile(filePath));
+
+        entries.push({ key: metadata.key || path.basename(file, '.json'), size: stats.size, metadata });
+      } catch (error) {
+        // Corrupted file
+        await fs.unlink(filePath).catch(() => {});
+      }
+    }
+
+    return entries;
+  }
+
+  async getStats() {
+    try {
+      const files = await fs.readdir(this.cacheDir);
+      let totalSize = 0;
+      let entryCount = 0;
+
+      for (const file of files) {
+        if (file.endsWith('.json')) {
+          const stats = await fs.stat(path.join(this.cacheDir, file));
+          totalSize += stats.size;
+          entryCount++;
+        }
+      }
+
+      return { entryCount, totalSize };
+    } catch (error) {
+      return { entryCount: 0, totalSize: 0 };
+    }
+  }
+
+  async clear() {
+    const files = await fs.readdir(this.cacheDir);
+    let deletedCount = 0;
+
+    for (const file of files) {
+      if (file.endsWith('.json')) {
+        await fs.unlink(path.join(this.cacheDir, file));
+        deletedCount++;
+      }
+    }
+
+    return deletedCount;
+  }
+
+  // Remove what interrupted writes left behind: stale locks and old temporary files
+  async sweep() {
+    const files = await fs.readdir(this.cacheDir);
+    let removedCount = 0;
+
+    for (const file of files) {
+      const filePath = path.join(this.cacheDir, file);
+      try {
+        if (file.endsWith('.lock')) {
+          if (await this._breakStaleLock(filePath)) removedCount++;
+        } else if (file.endsWith('.tmp')) {
+          const stats = await fs.stat(filePath);
+          if (Date.now() - stats.mtimeMs > this.lockStaleMs) {
+            await fs.unlink(filePath);
+            removedCount++;
+          }
+        }
+      } catch (error) {
+        // Renamed or removed by its writer meanwhile
+      }
+    }
+
+    return removedCount;
+  }
+
+  async close() {}
+}
+
+module.exports = FileStorage;
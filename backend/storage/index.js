@@ -0,0 +1,58 @@
+const path = require("path");
+const FileStorage = require("./fileStorage");
+const MemoryStorage = require("./memoryStorage");
+const { COMPRESSIONS, assertCompression } = require("./compression");
+
+// Storage backends for CacheManager. Every adapter stores cache entries ({ metadata, data })
+// by key and implements the same contract, checked by storage.test.js:
+//
+//   init()           connect / create the storage, called once before use
+//   get(key)         the stored entry, or null
+//   set(key, entry)  store an entry, replacing any previous one; returns its size in bytes
+//   delete(key)      remove an entry, true when one was removed
+//   exists(key)      whether an entry is stored
+//   list()           [{ key, size, metadata }] for every entry, used by cache cleanup
+//   getStats()       { entryCount, totalSize } with sizes in bytes
+//   clear()          remove every entry, returning how many were removed
+//   sweep()          remove leftovers of interrupted writes, returning how many were removed
+//   close()          release connections and file handles
+//
+// Expiry and schema versions stay in CacheManager: adapters return entries as stored.
+// File, SQLite and Redis storage compress entry data with CACHE_COMPRESSION (compression.js).
+const STORAGE_TYPES = ["file", "memory", "sqlite", "redis"];
+
+// Create the adapter selected by CACHE_STORAGE (default "file"). SQLite and Redis
+// drivers are only loaded when selected.
+function createStorage({
+  type = process.env.CACHE_STORAGE || "file",
+  compression = process.env.CACHE_COMPRESSION || "gzip",
+  cacheDir
+}) {
+  assertCompression(compression);
+
+  switch (type) {
+    case "file":
+      return new FileStorage(cacheDir, { compression });
+    case "memory":
+      return new MemoryStorage();
+    case "sqlite": {
+      const SqliteStorage = require("./sqliteStorage");
+      return new SqliteStorage(process.env.CACHE_SQLITE_PATH || path.join(cacheDir, "cache.sqlite"), { compression });
+    }
+    case "redis": {
+      if (!process.env.REDIS_URL) {
+        throw new Error("CACHE_STORAGE=redis requires REDIS_URL");
+      }
+      const RedisStorage = require("./redisStorage");
+      return new RedisStorage(process.env.REDIS_URL, { prefix: process.env.CACHE_REDIS_PREFIX || "bgg-cache:", compression });
+    }
+    default:
+      throw new Error(`Unknown CACHE_STORAGE "${type}". Use one of: ${STORAGE_TYPES.join(", ")}`);
+  }
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  COMPRESSIONS,
+  createStorage
+};
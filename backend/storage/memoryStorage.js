@@ -0,0 +1,60 @@
+// Cache entries in process memory, for tests and throwaway instances.
+// Entries are stored serialised so callers never share objects with the cache.
+class MemoryStorage {
+  constructor() {
+    this.name = "memory";
+    this.entries = new Map();
+  }
+
+  async init() {}
+
+  async get(key) {
+    const content = this.entries.get(key);
+    return content === undefined ? null : JSON.parse(content);
+  }
+
+  async set(key, entry) {
+    const content = JSON.stringify(entry);
+    this.entries.set(key, content);
+    return Buffer.byteLength(content);
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async exists(key) {
+    return this.entries.has(key);
+  }
+
+  async list() {
+    return [...this.entries].map(([key, content]) => ({
+      key,
+      size: Buffer.byteLength(content),
+      metadata: JSON.parse(content).metadata
+    }));
+  }
+
+  async getStats() {
+    let totalSize = 0;
+    for (const content of this.entries.values()) {
+      totalSize += Buffer.byteLength(content);
+    }
+    return { entryCount: this.entries.size, totalSize };
+  }
+
+  async clear() {
+    const deletedCount = this.entries.size;
+    this.entries.clear();
+    return deletedCount;
+  }
+
+  // Entries only exist in this process, nothing is left behind
+  async sweep() {
+    return 0;
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,116 @@
+const Redis = require("ioredis");
+const { encodeData, decodeData } = require("./compression");
+
+// Number of keys fetched per SCAN round trip
+const SCAN_COUNT = 200;
+
+// Cache entries in Redis (or any server speaking the Redis protocol), shared between
+// backend replicas. Each entry is a hash with `metadata` and (compressed) `data` fields
+// under a key prefix.
+class RedisStorage {
+  constructor(url, { prefix = "bgg-cache:", compression = "gzip" } = {}) {
+    this.name = "redis";
+    this.url = url;
+    this.prefix = prefix;
+    this.compression = compression;
+    this.client = null;
+  }
+
+  async init() {
+    // No INFO ready check: not every Redis-protocol server implements INFO
+    this.client = new Redis(this.url, { lazyConnect: true, enableReadyCheck: false, maxRetriesPerRequest: 3 });
+    this.client.on("error", (error) => console.error("Redis cache error:", error.message));
+    await this.client.connect();
+  }
+
+  _key(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  // All keys under the prefix, without the prefix
+  async _keys() {
+    const keys = [];
+    let cursor = "0";
+
+    do {
+      const [nextCursor, batch] = await this.client.scan(cursor, "MATCH", `${this.prefix}*`, "COUNT", SCAN_COUNT);
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== "0");
+
+    return [...new Set(keys)].map(key => key.slice(this.prefix.length));
+  }
+
+  async get(key) {
+    const [metadata, data] = await this.client.hmgetBuffer(this._key(key), "metadata", "data");
+    if (metadata === null || data === null) return null;
+    return { metadata: JSON.parse(metadata.toString()), data: await decodeData(data) };
+  }
+
+  async set(key, entry) {
+    const metadata = JSON.stringify(entry.metadata);
+    const data = await encodeData(entry.data, this.compression);
+    await this.client.hset(this._key(key), { metadata, data });
+    return Buffer.byteLength(metadata) + data.length;
+  }
+
+  async delete(key) {
+    return (await this.client.del(this._key(key))) > 0;
+  }
+
+  async exists(key) {
+    return (await this.client.exists(this._key(key))) > 0;
+  }
+
+  async list() {
+    const keys = await this._keys();
+    if (keys.length === 0) return [];
+
+    const pipeline = this.client.pipeline();
+    for (const key of keys) {
+      pipeline.hget(this._key(key), "metadata");
+      pipeline.hstrlen(this._key(key), "metadata");
+      pipeline.hstrlen(this._key(key), "data");
+    }
+    const results = await pipeline.exec();
+
+    const entries = [];
+    keys.forEach((key, index) => {
+      const [[, metadata], [, metadataSize], [, dataSize]] = results.slice(index * 3, index * 3 + 3);
+      // The key may have been deleted between SCAN and HGET
+      if (metadata !== null) {
+        entries.push({ key, size: metadataSize + dataSize, metadata: JSON.parse(metadata) });
+      }
+    });
+    return entries;
+  }
+
+  async getStats() {
+    const entries = await this.list();
+    return {
+      entryCount: entries.length,
+      totalSize: entries.reduce((total, entry) => total + entry.size, 0)
+    };
+  }
+
+  async clear() {
+    const keys = await this._keys();
+    if (keys.length === 0) return 0;
+    return this.client.del(...keys.map(key => this._key(key)));
+  }
+
+  // Each entry is written with a single HSET, nothing is left behind
+  async sweep() {
+    return 0;
+  }
+
+  async close() {
+    if (this.client) {
+      // Every command has been awaited, so there is nothing to flush (QUIT is deprecated)
+      this.client.disconnect();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = RedisStorage;
@@ -0,0 +1,99 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Database = require("better-sqlite3");
+const { encodeData, decodeData } = require("./compression");
+
+// Cache entries in a single SQLite file, for single-node deployments with many entries.
+// Metadata is kept in its own column so cleanup can scan it without parsing the data.
+// Data is a BLOB when compressed; rows written before compression hold JSON text.
+class SqliteStorage {
+  constructor(dbPath, { compression = "gzip" } = {}) {
+    this.name = "sqlite";
+    this.dbPath = dbPath;
+    this.compression = compression;
+    this.db = null;
+  }
+
+  async init() {
+    if (this.dbPath !== ":memory:") {
+      await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath);
+    // WAL lets readers continue while an entry is written
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS cache_entries (
+        key TEXT PRIMARY KEY,
+        metadata TEXT NOT NULL,
+        data TEXT NOT NULL,
+        size INTEGER NOT NULL
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare("SELECT metadata, data FROM cache_entries WHERE key = ?"),
+      set: this.db.prepare(`
+        INSERT INTO cache_entries (key, metadata, data, size) VALUES (?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET metadata = excluded.metadata, data = excluded.data, size = excluded.size
+      `),
+      delete: this.db.prepare("DELETE FROM cache_entries WHERE key = ?"),
+      exists: this.db.prepare("SELECT 1 FROM cache_entries WHERE key = ?"),
+      list: this.db.prepare("SELECT key, metadata, size FROM cache_entries"),
+      stats: this.db.prepare("SELECT COUNT(*) AS entryCount, COALESCE(SUM(size), 0) AS totalSize FROM cache_entries"),
+      clear: this.db.prepare("DELETE FROM cache_entries")
+    };
+  }
+
+  async get(key) {
+    const row = this.statements.get.get(key);
+    if (!row) return null;
+    return { metadata: JSON.parse(row.metadata), data: await decodeData(row.data) };
+  }
+
+  async set(key, entry) {
+    const metadata = JSON.stringify(entry.metadata);
+    const data = await encodeData(entry.data, this.compression);
+    const size = Buffer.byteLength(metadata) + data.length;
+    this.statements.set.run(key, metadata, data, size);
+    return size;
+  }
+
+  async delete(key) {
+    return this.statements.delete.run(key).changes > 0;
+  }
+
+  async exists(key) {
+    return !!this.statements.exists.get(key);
+  }
+
+  async list() {
+    return this.statements.list.all().map(row => ({
+      key: row.key,
+      size: row.size,
+      metadata: JSON.parse(row.metadata)
+    }));
+  }
+
+  async getStats() {
+    return this.statements.stats.get();
+  }
+
+  async clear() {
+    return this.statements.clear.run().changes;
+  }
+
+  // Each write is a single statement (transaction), nothing is left behind
+  async sweep() {
+    return 0;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,273 @@
+// Contract tests shared by every cache storage adapter: node --test (npm test)
+// The Redis adapter runs against REDIS_URL (npm run test:redis) and is skipped when it isn't
+// set or ioredis, an optional dependency, isn't installed.
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const FileStorage = require("./fileStorage");
+const MemoryStorage = require("./memoryStorage");
+const SqliteStorage = require("./sqliteStorage");
+const { createStorage, COMPRESSIONS } = require(".");
+const { encodeData, decodeData } = require("./compression");
+
+const entry = (key, data, timestamp = Date.now()) => ({
+  metadata: { timestamp, ttl: 60 * 1000, key, size: JSON.stringify(data).length },
+  data
+});
+
+function describeStorageContract(name, createAdapter, { skip = false } = {}) {
+  describe(`${name} storage`, { skip }, () => {
+    let storage;
+
+    before(async () => {
+      storage = await createAdapter();
+      await storage.init();
+    });
+
+    beforeEach(async () => {
+      await storage.clear();
+    });
+
+    after(async () => {
+      if (storage) await storage.close();
+    });
+
+    it("returns null and false for missing keys", async () => {
+      assert.equal(await storage.get("missing"), null);
+      assert.equal(await storage.exists("missing"), false);
+      assert.equal(await storage.delete("missing"), false);
+    });
+
+    it("stores and returns entries", async () => {
+      const stored = entry("demo_detailed.json", { games: [{ id: "174430", name: "Gloomhaven" }] });
+      await storage.set("demo_detailed.json", stored);
+
+      assert.deepEqual(await storage.get("demo_detailed.json"), stored);
+      assert.equal(await storage.exists("demo_detailed.json"), true);
+    });
+
+    it("keeps text as written", async () => {
+      const stored = entry("thing_1", { name: "Flügelschlag – 翼 \"quoted\"\nline" });
+      await storage.set("thing_1", stored);
+
+      assert.deepEqual(await storage.get("thing_1"), stored);
+    });
+
+    it("replaces entries on set", async () => {
+      await storage.set("search_azul", entry("search_azul", { ids: ["1"] }));
+      await storage.set("search_azul", entry("search_azul", { ids: ["2", "3"] }));
+
+      assert.deepEqual((await storage.get("search_azul")).data, { ids: ["2", "3"] });
+      assert.equal((await storage.getStats()).entryCount, 1);
+    });
+
+    it("deletes entries", async () => {
+      await storage.set("thing_2", entry("thing_2", { id: "2" }));
+
+      assert.equal(await storage.delete("thing_2"), true);
+      assert.equal(await storage.get("thing_2"), null);
+      assert.equal(await storage.exists("thing_2"), false);
+    });
+
+    it("lists entries with their metadata and the size returned by set", async () => {
+      const sizes = [
+        await storage.set("thing_3", entry("thing_3", { id: "3" }, 1000)),
+        await storage.set("thing_4", entry("thing_4", { id: "4", name: "Ünïcode" }, 2000))
+      ];
+
+      const listed = (await storage.list()).sort((a, b) => a.key.localeCompare(b.key));
+      assert.deepEqual(listed.map(item => item.key), ["thing_3", "thing_4"]);
+      assert.deepEqual(listed.map(item => item.metadata.timestamp), [1000, 2000]);
+      assert.deepEqual(listed.map(item => item.size), sizes);
+      assert.ok(sizes.every(size => size > 0));
+    });
+
+    it("reports entry count and total size", async () => {
+      assert.deepEqual(await storage.getStats(), { entryCount: 0, totalSize: 0 });
+
+      const sizes = [
+        await storage.set("thing_5", entry("thing_5", { id: "5" })),
+        await storage.set("thing_6", entry("thing_6", { id: "6" }))
+      ];
+
+      assert.deepEqual(await storage.getStats(), { entryCount: 2, totalSize: sizes[0] + sizes[1] });
+    });
+
+    it("clears all entries", async () => {
+      await storage.set("thing_7", entry("thing_7", { id: "7" }));
+      await storage.set("thing_8", entry("thing_8", { id: "8" }));
+
+      assert.equal(await storage.clear(), 2);
+      assert.deepEqual(await storage.list(), []);
+      assert.equal(await storage.get("thing_7"), null);
+    });
+
+    it("has nothing to sweep after completed writes", async () => {
+      await storage.set("thing_9", entry("thing_9", { id: "9" }));
+
+      assert.equal(await storage.sweep(), 0);
+    });
+  });
+}
+
+// Temporary directories made by the tests, removed once every test has run
+const tempDirs = [];
+const tempDir = (prefix) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  tempDirs.push(dir);
+  return dir;
+};
+
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+describeStorageContract("file", () => new FileStorage(tempDir("bgg-cache-file-")));
+describeStorageContract("file (brotli)", () => new FileStorage(tempDir("bgg-cache-file-"), { compression: "brotli" }));
+describeStorageContract("file (uncompressed)", () => new FileStorage(tempDir("bgg-cache-file-"), { compression: "none" }));
+describeStorageContract("memory", () => new MemoryStorage());
+describeStorageContract("sqlite", () => new SqliteStorage(path.join(tempDir("bgg-cache-sqlite-"), "cache.sqlite")));
+describeStorageContract("sqlite (brotli)", () => new SqliteStorage(path.join(tempDir("bgg-cache-sqlite-"), "cache.sqlite"), { compression: "brotli" }));
+// Whether ioredis can be loaded, like storage/index.js the adapter is only required when used
+function hasIoredis() {
+  try {
+    require.resolve("ioredis");
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+describeStorageContract("redis", () => {
+  const RedisStorage = require("./redisStorage");
+  return new RedisStorage(process.env.REDIS_URL, { prefix: `bgg-cache-test-${process.pid}:` });
+}, {
+  skip: (!process.env.REDIS_URL && "REDIS_URL not set") || (!hasIoredis() && "ioredis is not installed")
+});
+
+describe("entries written before compression", () => {
+  const legacy = entry("demo_detailed.json", { games: [{ id: "174430", name: "Gloomhaven" }] }, 1000);
+
+  it("are read from pretty-printed files", async () => {
+    const dir = tempDir("bgg-cache-legacy-");
+    fs.writeFileSync(path.join(dir, "demo_detailed_json.json"), JSON.stringify(legacy, null, 2));
+    const storage = new FileStorage(dir);
+
+    assert.deepEqual(await storage.get("demo_detailed.json"), legacy);
+    assert.deepEqual((await storage.list()).map(item => item.metadata), [legacy.metadata]);
+  });
+
+  it("are read from SQLite JSON text", async () => {
+    const storage = new SqliteStorage(":memory:");
+    await storage.init();
+    storage.db.prepare("INSERT INTO cache_entries (key, metadata, data, size) VALUES (?, ?, ?, ?)")
+      .run("demo_detailed.json", JSON.stringify(legacy.metadata), JSON.stringify(legacy.data), 1);
+
+    assert.deepEqual(await storage.get("demo_detailed.json"), legacy);
+    await storage.close();
+  });
+});
+
+describe("compression", () => {
+  const data = { games: Array.from({ length: 200 }, (_, i) => ({ id: String(i), name: "Flügelschlag" })) };
+
+  for (const compression of COMPRESSIONS) {
+    it(`round-trips data with ${compression}`, async () => {
+      const encoded = await encodeData(data, compression);
+
+      assert.deepEqual(await decodeData(encoded), data);
+      if (compression !== "none") {
+        assert.ok(encoded.length < JSON.stringify(data).length / 5);
+      }
+    });
+  }
+
+  it("rejects unknown algorithms", async () => {
+    await assert.rejects(encodeData(data, "zstd"), /Unknown CACHE_COMPRESSION "zstd"/);
+    assert.throws(() => createStorage({ type: "memory", compression: "zstd" }), /Unknown CACHE_COMPRESSION/);
+  });
+});
+
+describe("file storage locks", () => {
+  const writeLock = (dir, key, owner) =>
+    fs.writeFileSync(path.join(dir, `${key}.json.lock`), JSON.stringify({ hostname: os.hostname(), ...owner }));
+  const leftovers = (dir) => fs.readdirSync(dir).filter(file => !file.endsWith(".json"));
+
+  it("serves the previous version while another writer holds the lock", async () => {
+    const dir = tempDir("bgg-cache-lock-");
+    const storage = new FileStorage(dir, { lockWaitMs: 200 });
+    const stored = entry("demo", { games: ["1"] });
+    await storage.set("demo", stored);
+
+    writeLock(dir, "demo", { pid: process.pid, timestamp: Date.now() });
+
+    assert.deepEqual(await storage.get("demo"), stored);
+    await assert.rejects(storage.set("demo", entry("demo", { games: ["2"] })), /Timed out waiting for the lock on demo/);
+    assert.deepEqual(await storage.get("demo"), stored);
+  });
+
+  it("breaks locks older than the stale lock age", async () => {
+    const dir = tempDir("bgg-cache-lock-");
+    const storage = new FileStorage(dir, { lockWaitMs: 200 });
+    writeLock(dir, "demo", { pid: process.pid, timestamp: Date.now() - 60 * 1000 });
+
+    await storage.set("demo", entry("demo", { games: ["1"] }));
+
+    assert.deepEqual((await storage.get("demo")).data, { games: ["1"] });
+    assert.deepEqual(leftovers(dir), []);
+  });
+
+  it("breaks locks whose owner process has exited", async () => {
+    const dir = tempDir("bgg-cache-lock-");
+    const storage = new FileStorage(dir, { lockWaitMs: 200 });
+    const { pid } = spawnSync(process.execPath, ["-e", ""]);
+    writeLock(dir, "demo", { pid, timestamp: Date.now() });
+
+    await storage.set("demo", entry("demo", { games: ["1"] }));
+
+    assert.deepEqual(leftovers(dir), []);
+  });
+
+  it("serialises concurrent writes to the same key", async () => {
+    const dir = tempDir("bgg-cache-lock-");
+    const storage = new FileStorage(dir);
+    const writes = Array.from({ length: 10 }, (_, i) => entry("demo", { games: [String(i)] }));
+
+    await Promise.all(writes.map(write => storage.set("demo", write)));
+
+    const stored = await storage.get("demo");
+    assert.ok(writes.some(write => JSON.stringify(write) === JSON.stringify(stored)));
+    assert.deepEqual(leftovers(dir), []);
+  });
+
+  it("sweeps stale locks and old temporary files, keeping live ones", async () => {
+    const dir = tempDir("bgg-cache-lock-");
+    const storage = new FileStorage(dir);
+    const old = new Date(Date.now() - 60 * 1000);
+    writeLock(dir, "crashed", { pid: process.pid, timestamp: old.getTime() });
+    writeLock(dir, "writing", { pid: process.pid, timestamp: Date.now() });
+    fs.writeFileSync(path.join(dir, "crashed.json.1-1-a.tmp"), "{");
+    fs.utimesSync(path.join(dir, "crashed.json.1-1-a.tmp"), old, old);
+    fs.writeFileSync(path.join(dir, "writing.json.1-2-b.tmp"), "{");
+
+    assert.equal(await storage.sweep(), 2);
+    assert.deepEqual(leftovers(dir).sort(), ["writing.json.1-2-b.tmp", "writing.json.lock"]);
+  });
+});
+
+describe("createStorage", () => {
+  it("selects the adapter by type", () => {
+    assert.equal(createStorage({ type: "file", cacheDir: os.tmpdir() }).name, "file");
+    assert.equal(createStorage({ type: "memory" }).name, "memory");
+    assert.equal(createStorage({ type: "sqlite", cacheDir: os.tmpdir() }).name, "sqlite");
+  });
+
+  it("rejects unknown types", () => {
+    assert.throws(() => createStorage({ type: "s3" }), /Unknown CACHE_STORAGE "s3"/);
+  });
+});
@@ -0,0 +1,90 @@
+const { parseCron, nextRun } = require("./cronSchedule");
+
+// setTimeout can't wait longer than this (about 24.8 days)
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Runs a cache warm-up task on a cron schedule and keeps the outcome of the last run for
+// /health. The task resolves with a summary ({ failed: [...], ... }) that is stored as is.
+class WarmupScheduler {
+  constructor(cronExpression, task) {
+    this.schedule = parseCron(cronExpression);
+    this.task = task;
+    this.timer = null;
+    this.nextRunAt = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  start() {
+    this._scheduleNext();
+    console.log(`Cache warm-up scheduled (${this.schedule.expression}), next run ${this.nextRunAt.toISOString()}`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  _scheduleNext() {
+    this.nextRunAt = nextRun(this.schedule);
+    const wait = Math.min(this.nextRunAt.getTime() - Date.now(), MAX_TIMEOUT_MS);
+
+    this.timer = setTimeout(async () => {
+      // Long waits are split into several timeouts
+      if (Date.now() >= this.nextRunAt.getTime()) {
+        await this.run();
+      }
+      this._scheduleNext();
+    }, wait);
+  }
+
+  // Run the warm-up now. A run still in progress is not started twice.
+  async run() {
+    if (this.running) {
+      console.log("Cache warm-up still running, skipping this run");
+      return null;
+    }
+
+    this.running = true;
+    const startedAt = new Date();
+    console.log("Cache warm-up started");
+
+    try {
+      const summary = await this.task();
+      this.lastRun = {
+        status: summary.failed && summary.failed.length > 0 ? "partial" : "ok",
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        ...summary
+      };
+    } catch (error) {
+      console.error("Cache warm-up failed:", error.message);
+      this.lastRun = {
+        status: "failed",
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        error: error.message
+      };
+    } finally {
+      this.running = false;
+    }
+
+    console.log(`Cache warm-up finished (${this.lastRun.status}) in ${Math.round(this.lastRun.durationMs / 1000)}s`);
+    return this.lastRun;
+  }
+
+  getStatus() {
+    return {
+      enabled: true,
+      schedule: this.schedule.expression,
+      running: this.running,
+      nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = WarmupScheduler;
@@ -0,0 +1,49 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const WarmupScheduler = require("./warmupScheduler");
+
+describe("WarmupScheduler", () => {
+  it("reports the last run's summary", async () => {
+    const warmup = new WarmupScheduler("0 16 * * 5", async () => ({ imported: 1, failed: [] }));
+
+    await warmup.run();
+
+    const { lastRun } = warmup.getStatus();
+    assert.equal(lastRun.status, "ok");
+    assert.equal(lastRun.imported, 1);
+    assert.ok(lastRun.durationMs >= 0);
+  });
+
+  it("reports partial and failed runs", async () => {
+    const partial = new WarmupScheduler("0 16 * * 5", async () => ({ failed: [{ username: "demo", error: "BGG is down" }] }));
+    const failing = new WarmupScheduler("0 16 * * 5", async () => { throw new Error("No events directory"); });
+
+    assert.equal((await partial.run()).status, "partial");
+    assert.deepEqual(
+      { status: (await failing.run()).status, error: failing.lastRun.error },
+      { status: "failed", error: "No events directory" }
+    );
+  });
+
+  it("doesn't start a run while one is in progress", async () => {
+    let runs = 0;
+    let finish;
+    const warmup = new WarmupScheduler("0 16 * * 5", () => {
+      runs++;
+      return new Promise(resolve => { finish = resolve; });
+    });
+
+    const first = warmup.run();
+    assert.equal(await warmup.run(), null);
+    assert.equal(warmup.getStatus().running, true);
+
+    finish({ failed: [] });
+    await first;
+    assert.equal(runs, 1);
+    assert.equal(warmup.getStatus().running, false);
+  });
+
+  it("rejects invalid schedules", () => {
+    assert.throws(() => new WarmupScheduler("every friday", async () => ({})), /needs 5 fields/);
+  });
+});
@@ -1,6 +1,8 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import './App.css';
 import EventPanel from './components/EventPanel';
+import CollectionTimeline from './components/CollectionTimeline';
+import LocalCollectionPanel from './components/LocalCollectionPanel';
 import EventModal from './components/EventModal';
 import ScenarioWizard from './components/ScenarioWizard';
 
@@ -18,11 +20,232 @@ const MOOD_CATEGORIES = {
   chill: ['Family Game', 'Abstract Strategy', 'Card Game']
 };
 
+// Follow a background collection import over Server-Sent Events.
+// Resolves when the import completes, rejects if it fails.
+const watchImportJob = (jobId, { onProgress, onGames }) => {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${jobId}/events`);
+
+    source.addEventListener('progress', (e) => onProgress(JSON.parse(e.data)));
+    source.addEventListener('games', (e) => onGames(JSON.parse(e.data)));
+    source.addEventListener('complete', (e) => {
+      source.close();
+      resolve(JSON.parse(e.data));
+    });
+    source.addEventListener('failed', (e) => {
+      source.close();
+      const failure = JSON.parse(e.data);
+      const error = new Error(failure.message);
+      error.code = failure.code;
+      reject(error);
+    });
+    source.onerror = () => {
+      // EventSource reconnects on its own unless the stream was closed for good
+      if (source.readyState === EventSource.CLOSED) {
+        reject(new Error('Lost connection to collection import'));
+      }
+    };
+  });
+};
+
+// Fetch a user's per-game play statistics ({ [gameId]: { playCount, lastPlayed, players } }),
+// waiting for the play history import when it isn't cached yet
+const fetchPlayStats = async (member) => {
+  const response = await fetch(`/api/collection/${member}/plays`);
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Failed to fetch plays: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  if (response.status === 202 && data.jobId) {
+    // The finished import carries the statistics itself
+    const result = await watchImportJob(data.jobId, { onProgress: () => {}, onGames: () => {} });
+    return result?.games || {};
+  }
+
+  return data.games || {};
+};
+
+// Combine play statistics from several group members
+const mergePlayStats = (statsList) => {
+  const merged = {};
+
+  for (const stats of statsList) {
+    for (const [gameId, gameStats] of Object.entries(stats)) {
+      const existing = merged[gameId];
+      merged[gameId] = existing ? {
+        playCount: existing.playCount + gameStats.playCount,
+        lastPlayed: (existing.lastPlayed || '') > (gameStats.lastPlayed || '') ? existing.lastPlayed : gameStats.lastPlayed,
+        players: [...new Set([...existing.players, ...gameStats.players])]
+      } : gameStats;
+    }
+  }
+
+  return merged;
+};
+
+// Split the username field into BGG usernames - several comma-separated names form a game group
+const parseUsernames = (value) => [...new Set(value.split(',').map(name => name.trim()).filter(Boolean))];
+
+// Local collections (players without a BGG account) are loaded as "local:<name>"
+const LOCAL_PREFIX = 'local:';
+const isLocalUsername = (name) => name.toLowerCase().startsWith(LOCAL_PREFIX);
+
+// Merge one member's games into a group library, tracking who owns each game. Like the
+// backend's combined collections, each owner's collection entry is kept in `collections`.
+// With `replace`, the member's previous games are dropped first (used after a refresh).
+const mergeUserGames = (games, member, memberGames, { replace = false } = {}) => {
+  const merged = new Map();
+
+  for (const game of games) {
+    const ownedBy = replace ? (game.ownedBy || []).filter(owner => owner !== member) : (game.ownedBy || []);
+    if (ownedBy.length === 0) continue;
+
+    const collections = { ...game.collections };
+    if (replace) delete collections[member];
+    merged.set(game.id, { ...game, ownedBy, collections });
+  }
+
+  for (const game of memberGames) {
+    const existing = merged.get(game.id);
+    if (existing) {
+      if (!existing.ownedBy.includes(member)) {
+        merged.set(game.id, {
+          ...existing,
+          ownedBy: [...existing.ownedBy, member],
+          collections: { ...existing.collections, [member]: game.collection }
+        });
+      }
+    } else {
+      merged.set(game.id, { ...game, collection: null, collections: { [member]: game.collection }, ownedBy: [member] });
+    }
+  }
+
+  return [...merged.values()];
+};
+
+// Append a batch of imported games, skipping games already listed: when the import's event
+// stream reconnects, the server replays every game sent so far
+const appendNewGames = (games, newGames) => {
+  const listedIds = new Set(games.map(game => game.id));
+  return [...games, ...newGames.filter(game => !listedIds.has(game.id))];
+};
+
+// Sum the progress of several import jobs into one progress bar
+const combineProgress = (progressList) => {
+  const details = progressList.filter(progress => progress.stage === 'details');
+  if (details.length === 0) return { stage: 'collection' };
+
+  return details.reduce((total, progress) => ({
+    stage: 'details',
+    gamesFetched: total.gamesFetched + (progress.gamesFetched || 0),
+    totalGames: total.totalGames + (progress.totalGames || 0),
+    batchesDone: total.batchesDone + (progress.batchesDone || 0),
+    totalBatches: total.totalBatches + (progress.totalBatches || 0),
+    etaSeconds: Math.max(total.etaSeconds, progress.etaSeconds || 0)
+  }), { gamesFetched: 0, totalGames: 0, batchesDone: 0, totalBatches: 0, etaSeconds: 0 });
+};
+
+// Collection views offered by the backend's ?status= parameter
+const COLLECTION_STATUSES = [
+  { value: 'owned', label: 'Owned' },
+  { value: 'prevowned', label: 'Previously Owned' },
+  { value: 'wishlist', label: 'Wishlist' },
+  { value: 'wanttoplay', label: 'Want to Play' },
+  { value: 'wanttobuy', label: 'Want to Buy' },
+  { value: 'fortrade', label: 'For Trade' },
+  { value: 'preordered', label: 'Preordered' }
+];
+
+// Export formats offered by /api/collection/:username/export
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx-compatible-csv', label: 'Spreadsheet (Excel) CSV' },
+  { value: 'json', label: 'JSON' }
+];
+
+// Columns the export can include, in the order they are written (EXPORT_COLUMNS in
+// backend/collectionExport.js)
+const EXPORT_COLUMNS = [
+  { value: 'id', label: 'BGG ID' },
+  { value: 'name', label: 'Name' },
+  { value: 'year', label: 'Year' },
+  { value: 'minPlayers', label: 'Min Players' },
+  { value: 'maxPlayers', label: 'Max Players' },
+  { value: 'bestPlayers', label: 'Best Player Count' },
+  { value: 'recommendedPlayers', label: 'Recommended Player Counts' },
+  { value: 'playingTime', label: 'Playing Time' },
+  { value: 'minAge', label: 'Min Age' },
+  { value: 'weight', label: 'Weight' },
+  { value: 'rating', label: 'BGG Rating' },
+  { value: 'rank', label: 'BGG Rank' },
+  { value: 'myRating', label: 'My Rating' },
+  { value: 'plays', label: 'Plays' },
+  { value: 'lastPlayed', label: 'Last Played' },
+  { value: 'categories', label: 'Categories' },
+  { value: 'mechanics', label: 'Mechanics' },
+  { value: 'designers', label: 'Designers' },
+  { value: 'isExpansion', label: 'Expansion' },
+  { value: 'ownedBy', label: 'Owned By' },
+  { value: 'wishlistPriority', label: 'Wishlist Priority' },
+  { value: 'comment', label: 'Comment' },
+  { value: 'bggUrl', label: 'BGG Link' }
+];
+
+// The backend's default columns
+const DEFAULT_EXPORT_COLUMNS = ['name', 'year', 'minPlayers', 'maxPlayers', 'playingTime', 'weight', 'rating', 'isExpansion'];
+
+// How long ago a collection was synced with BGG, e.g. "3 days ago"
+const formatTimeAgo = (time) => {
+  const minutes = Math.floor((Date.now() - new Date(time)) / (60 * 1000));
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
+// Build the export URL for the games currently shown: the active filters, sort order and
+// scenario (mood and cooperative) are applied by the backend the same way as here
+const buildExportUrl = (usernames, status, filters, sortBy, scenario, format, columns) => {
+  const params = new URLSearchParams({ format, status, sortBy, columns: columns.join(',') });
+
+  for (const [name, value] of Object.entries(filters)) {
+    if (value !== '' && value !== false) params.set(name, String(value));
+  }
+  if (scenario?.mood) params.set('mood', scenario.mood);
+  if (scenario && scenario.cooperative !== null) params.set('cooperative', String(scenario.cooperative));
+
+  return `/api/collection/${usernames.join(',')}/export?${params}`;
+};
+
+// BGG wishlist priority labels (1 = highest)
+const WISHLIST_PRIORITIES = {
+  1: 'Must have',
+  2: 'Love to have',
+  3: 'Like to have',
+  4: 'Thinking about it',
+  5: "Don't buy this"
+};
+
+// BGG error codes that mean "try again later" rather than a bad username
+const TRANSIENT_BGG_ERRORS = ['BGG_QUEUED', 'BGG_RATE_LIMITED', 'BGG_UNAVAILABLE'];
+
 function App() {
   const [games, setGames] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [importProgress, setImportProgress] = useState(null);
+  const loadRequestRef = useRef(0);
   const [refreshing, setRefreshing] = useState(false);
+  // When the shown collection was last synced with BGG (single collections only)
+  const [fetchedAt, setFetchedAt] = useState(null);
   const [error, setError] = useState(null);
+  const [errorCode, setErrorCode] = useState(null);
+  const [groupNotice, setGroupNotice] = useState(null);
+  const [collectionStatus, setCollectionStatus] = useState('owned');
   const [selectedGame, setSelectedGame] = useState(null);
   const [username, setUsername] = useState('');
   const [isEditingUsername, setIsEditingUsername] = useState(false);
@@ -37,10 +260,17 @@ function App() {
     maxPlayers: '',
     bestPlayerCount: '',
     maxTime: '',
-    hideExpansions: false
+    hideExpansions: false,
+    ownedBy: '',
+    wishlistPriority: '',
+    notPlayedMonths: '',
+    minMyRating: ''
   });
   
   const [sortBy, setSortBy] = useState('name-asc');
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exportColumns, setExportColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+  const [playStats, setPlayStats] = useState({});
   const [filtersCollapsed, setFiltersCollapsed] = useState(true);
   const [darkTheme, setDarkTheme] = useState(false);
 
@@ -56,6 +286,10 @@ function App() {
   const [showScenarioWizard, setShowScenarioWizard] = useState(false);
   const [currentScenario, setCurrentScenario] = useState(null);
 
+  // Several comma-separated usernames make a game group with a combined library
+  const usernames = parseUsernames(username);
+  const isGroup = usernames.length > 1;
+
   // Cookie helper functions
   const getCookie = (name) => {
     const value = `; ${document.cookie}`;
@@ -137,70 +371,190 @@ function App() {
     }
   }, []);
 
+  // Load a combined library for a game group: cached members arrive at once,
+  // uncached members are imported in the background and merged in as batches land
+  const loadGroupCollection = useCallback(async (members, status, isCurrent) => {
+    const query = members.map(encodeURIComponent).join(',');
+    const response = await fetch(`/api/collections?users=${query}&status=${status}`);
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || `Failed to fetch: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    setGames(data.games || []);
+    setLoading(false);
+
+    if (!data.pending || data.pending.length === 0) return;
+
+    const progressByJob = {};
+    setImportProgress({ stage: 'collection' });
+
+    const results = await Promise.allSettled(data.pending.map(({ username: member, jobId }) =>
+      watchImportJob(jobId, {
+        onProgress: (progress) => {
+          progressByJob[jobId] = progress;
+          if (isCurrent()) setImportProgress(combineProgress(Object.values(progressByJob)));
+        },
+        onGames: (newGames) => isCurrent() && setGames(prev => mergeUserGames(prev, member, newGames))
+      })
+    ));
+
+    if (!isCurrent()) return;
+    setImportProgress(null);
+
+    const failures = results
+      .map((result, index) => ({ result, member: data.pending[index].username }))
+      .filter(({ result }) => result.status === 'rejected')
+      .map(({ result, member }) => `${member}: ${result.reason.message}`);
+    if (failures.length > 0) {
+      setGroupNotice(`Some collections could not be loaded - ${failures.join('; ')}`);
+    }
+  }, []);
+
   // Load games for user function
-  const loadGamesForUser = useCallback(async (targetUsername) => {
-    if (!targetUsername.trim()) return;
+  const loadGamesForUser = useCallback(async (targetUsername, status = 'owned') => {
+    const members = parseUsernames(targetUsername);
+    if (members.length === 0) return;
+
+    // Ignore import updates that arrive after the user switched to another collection
+    const requestId = ++loadRequestRef.current;
+    const isCurrent = () => requestId === loadRequestRef.current;
 
     setLoading(true);
     setError('');
+    setErrorCode(null);
+    setGroupNotice(null);
+    setImportProgress(null);
+    setFetchedAt(null);
     
     try {
-      const response = await fetch(`/api/collection/${targetUsername}`);
+      if (members.length > 1) {
+        await loadGroupCollection(members, status, isCurrent);
+        return;
+      }
+
+      const response = await fetch(`/api/collection/${members[0]}?status=${status}`);
       
       if (!response.ok) {
-        throw new Error(`Failed to fetch: ${response.statusText}`);
+        const body = await response.json().catch(() => ({}));
+        const fetchError = new Error(body.error || `Failed to fetch: ${response.statusText}`);
+        fetchError.code = body.code;
+        throw fetchError;
       }
       
       const data = await response.json();
+
+      // Uncached collections are imported in the background - render games as batches land
+      if (response.status === 202 && data.jobId) {
+        setGames([]);
+        setImportProgress({ stage: 'collection' });
+        setLoading(false);
+
+        try {
+          const result = await watchImportJob(data.jobId, {
+            onProgress: (progress) => isCurrent() && setImportProgress(progress),
+            onGames: (newGames) => isCurrent() && setGames(prev => appendNewGames(prev, newGames))
+          });
+          if (isCurrent()) setFetchedAt(result?.fetchedAt || null);
+        } finally {
+          if (isCurrent()) setImportProgress(null);
+        }
+        return;
+      }
+
       setGames(data.games || []);
+      setFetchedAt(data.fetchedAt || null);
       
-      // Note: checkForNewGames is called inline to avoid circular dependency
-      if (data.fromCache) {
-        setTimeout(async () => {
-          if (!targetUsername) return;
-          setRefreshing(true);
-          try {
-            const refreshResponse = await fetch(`/api/collection/${targetUsername}/refresh`);
-            const refreshData = await refreshResponse.json();
+      // Stale collections are re-checked on the server; /refresh waits for that check.
+      if (data.refreshInProgress) {
+        setRefreshing(true);
+        fetch(`/api/collection/${targetUsername}/refresh?status=${status}`)
+          .then(refreshResponse => refreshResponse.json())
+          .then(refreshData => {
+            if (!isCurrent()) return;
             if (refreshData.hasNewGames && refreshData.allGames) {
               setGames(refreshData.allGames);
             }
-          } catch (err) {
-            console.error('Error checking for new games:', err);
-          } finally {
-            setRefreshing(false);
-          }
-        }, 1000);
+            if (refreshData.fetchedAt) {
+              setFetchedAt(refreshData.fetchedAt);
+            }
+          })
+          .catch(err => console.error('Error checking for new games:', err))
+          .finally(() => setRefreshing(false));
       }
     } catch (err) {
+      if (!isCurrent()) return;
       setError(err.message);
+      setErrorCode(err.code || null);
       setGames([]);
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [loadGroupCollection]);
 
   // Load games and events when username changes
   useEffect(() => {
     if (username) {
-      loadGamesForUser(username);
-      fetchEvents(username);
+      loadGamesForUser(username, collectionStatus);
+      // Events belong to the first user of a group
+      fetchEvents(parseUsernames(username)[0]);
     } else {
       setGames([]);
       setEvents([]);
     }
-  }, [username, fetchEvents, loadGamesForUser]);
+  }, [username, collectionStatus, fetchEvents, loadGamesForUser]);
+
+  // Ratings and wishlist priorities are personal, so a group can't filter or sort by them
+  useEffect(() => {
+    if (!isGroup) return;
+    setFilters(prev => (prev.minMyRating || prev.wishlistPriority
+      ? { ...prev, minMyRating: '', wishlistPriority: '' }
+      : prev));
+    setSortBy(prev => (prev.startsWith('myRating') ? 'name-asc' : prev));
+  }, [isGroup]);
+
+  // Load play statistics when username changes. Plays don't depend on the collection status.
+  useEffect(() => {
+    const members = parseUsernames(username);
+    setPlayStats({});
+    if (members.length === 0) return;
+
+    let cancelled = false;
+    Promise.allSettled(members.map(fetchPlayStats)).then(results => {
+      if (cancelled) return;
+      results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error('Error loading play history:', result.reason));
+      setPlayStats(mergePlayStats(results
+        .filter(result => result.status === 'fulfilled')
+        .map(result => result.value)));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [username]);
 
   const checkForNewGames = async (targetUsername = username) => {
     if (!targetUsername || refreshing) return;
     
+    const members = parseUsernames(targetUsername);
     setRefreshing(true);
     try {
-      const response = await fetch(`/api/collection/${targetUsername}/refresh`);
-      const data = await response.json();
-      
-      if (data.hasNewGames && data.allGames) {
-        setGames(data.allGames);
+      for (const member of members) {
+        const response = await fetch(`/api/collection/${member}/refresh?status=${collectionStatus}`);
+        const data = await response.json();
+        
+        if (data.hasNewGames && data.allGames) {
+          setGames(prev => members.length > 1
+            ? mergeUserGames(prev, member, data.allGames, { replace: true })
+            : data.allGames);
+        }
+        if (members.length === 1 && data.fetchedAt) {
+          setFetchedAt(data.fetchedAt);
+        }
       }
     } catch (err) {
       console.error('Error checking for new games:', err);
@@ -236,6 +590,11 @@ function App() {
     }
   };
 
+  const handleStatusChange = (status) => {
+    setCollectionStatus(status);
+    setFilters(prev => ({ ...prev, wishlistPriority: '' }));
+  };
+
   const manualRefresh = () => {
     checkForNewGames();
   };
@@ -259,7 +618,8 @@ function App() {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
-          createdBy: username, 
+          createdBy: usernames[0], 
+          usernames,
           name,
           scenario: currentScenario,
           showResultsToVoters: options.showResultsToVoters ?? true
@@ -334,15 +694,14 @@ function App() {
       return;
     }
     
-    const stats = getGameStats(game);
     const gameData = {
-      id: getGameId(game),
-      name: getGameName(game),
+      id: game.id,
+      name: game.name,
       thumbnail: getGameImage(game),
-      weight: parseFloat(stats.weight) || 0,
-      playingTime: parseInt(safeGetValue(game.playingtime, '0')) || 0,
-      minPlayers: parseInt(stats.minPlayers) || 1,
-      maxPlayers: parseInt(stats.maxPlayers) || 10
+      weight: game.weight || 0,
+      playingTime: game.playingTime?.typical || 0,
+      minPlayers: game.players?.min || 1,
+      maxPlayers: game.players?.max || 10
     };
 
     try {
@@ -425,150 +784,44 @@ function App() {
     clearFilters();
   };
 
-  // Game helper functions
-  const getGameStats = (game) => {
-    const stats = game.statistics?.ratings || game.stats || {};
-    
-    const getRating = () => {
-      const rating = stats.average?.$.value || stats.average?._ || stats.average;
-      if (typeof rating === 'object') return 'N/A';
-      return rating ? parseFloat(rating).toFixed(1) : 'N/A';
-    };
-    
-    const getWeight = () => {
-      const weight = stats.averageweight?.$.value || stats.averageweight?._ || stats.averageweight;
-      if (typeof weight === 'object') return 'N/A';
-      return weight ? parseFloat(weight).toFixed(1) : 'N/A';
-    };
-    
-    const getMinPlayers = () => {
-      const min = game.minplayers?.$.value || game.minplayers?._ || game.minplayers;
-      if (typeof min === 'object') return 'N/A';
-      return min || 'N/A';
-    };
-    
-    const getMaxPlayers = () => {
-      const max = game.maxplayers?.$.value || game.maxplayers?._ || game.maxplayers;
-      if (typeof max === 'object') return 'N/A';
-      return max || 'N/A';
-    };
-    
-    const getPlayingTime = () => {
-      const time = safeGetValue(game.playingtime, '0');
-      return parseInt(time) || 0;
-    };
+  // Game helper functions - games use the backend's normalised game model (see backend/gameModel.js)
+  const formatNumber = (value) => (value === null || value === undefined ? 'N/A' : value.toFixed(1));
 
+  const getGameStats = (game) => {
     return {
-      rating: getRating(),
-      weight: getWeight(),
-      minPlayers: getMinPlayers(),
-      maxPlayers: getMaxPlayers(),
-      bestPlayerCount: getBestPlayerCount(game),
-      playingTime: getPlayingTime()
+      rating: formatNumber(game.rating?.average),
+      myRating: formatNumber(game.collection?.rating),
+      weight: formatNumber(game.weight),
+      minPlayers: game.players?.min ?? 'N/A',
+      maxPlayers: game.players?.max ?? 'N/A',
+      bestPlayerCount: game.players?.best ?? 'N/A',
+      playingTime: game.playingTime?.typical || 0
     };
   };
 
-  const getBestPlayerCount = (game) => {
-    if (game.poll && Array.isArray(game.poll)) {
-      const playerCountPoll = game.poll.find(p => p.$.name === 'suggested_numplayers');
-      if (playerCountPoll && playerCountPoll.results) {
-        const results = Array.isArray(playerCountPoll.results) ? playerCountPoll.results : [playerCountPoll.results];
-        let bestCount = 'N/A';
-        let bestScore = 0;
-        
-        results.forEach(result => {
-          if (result.result && Array.isArray(result.result)) {
-            const bestVotes = result.result.find(r => r.$.value === 'Best');
-            if (bestVotes && parseInt(bestVotes.$.numvotes) > bestScore) {
-              bestScore = parseInt(bestVotes.$.numvotes);
-              bestCount = result.$.numplayers;
-            }
-          }
-        });
-        
-        return bestCount;
-      }
-    }
-    return 'N/A';
-  };
-
-  const getGameName = (game) => {
-    if (game.name) {
-      if (Array.isArray(game.name)) {
-        const primaryName = game.name.find(n => n.$ && n.$.type === 'primary');
-        if (primaryName && primaryName.$.value) return String(primaryName.$.value);
-        const firstName = game.name[0];
-        if (firstName && firstName.$.value) return String(firstName.$.value);
-        if (typeof firstName === 'string') return firstName;
-      } else if (game.name.$ && game.name.$.value) {
-        return String(game.name.$.value);
-      } else if (typeof game.name === 'string') {
-        return game.name;
-      } else if (game.name._) {
-        return String(game.name._);
-      }
-    }
-    return 'Unknown Game';
-  };
-
-  const getGameImage = (game) => {
-    const thumbnail = game.thumbnail?._ || game.thumbnail;
-    const image = game.image?._ || game.image;
-    
-    if (typeof thumbnail === 'string' && thumbnail) return thumbnail;
-    if (typeof image === 'string' && image) return image;
-    return '';
-  };
-
-  const getGameId = (game) => {
-    const id = game.$.id || game.$.objectid;
-    return typeof id === 'string' ? id : String(id);
+  // Logged plays from the play history, falling back to the collection's own play count
+  // (summed over the owners in a group)
+  const getPlayCount = (game) => {
+    if (playStats[game.id]) return playStats[game.id].playCount;
+    const entries = game.collections ? Object.values(game.collections) : [game.collection];
+    return entries.reduce((total, entry) => total + (entry?.numPlays || 0), 0);
   };
 
-  const safeGetValue = (value, fallback = 'N/A') => {
-    if (value === null || value === undefined) return fallback;
-    if (typeof value === 'string') return value;
-    if (typeof value === 'number') return String(value);
-    if (value.$ && value.$.value !== undefined) return String(value.$.value);
-    if (value._ !== undefined) return String(value._);
-    return fallback;
+  const formatEta = (seconds) => {
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.ceil(seconds / 60)} min`;
   };
 
-  const isExpansion = (game) => {
-    if (game.$.type === 'boardgameexpansion') return true;
-    
-    if (game.link && Array.isArray(game.link)) {
-      return game.link.some(link => 
-        link.$.type === 'boardgamecategory' && 
-        link.$.value === 'Expansion for Base-game'
-      );
-    }
-    
-    return false;
-  };
+  const getGameImage = (game) => game.thumbnail || game.image || '';
 
   const getBaseGameInfo = (game) => {
-    if (!isExpansion(game) || !game.link || !Array.isArray(game.link)) {
+    if (!game.isExpansion || !game.expansionOf?.length) {
       return null;
     }
-    
-    const baseGameLink = game.link.find(link => 
-      link.$.type === 'boardgameexpansion' && 
-      link.$.inbound === 'true'
-    );
-    
-    return baseGameLink ? {
-      id: baseGameLink.$.id,
-      name: baseGameLink.$.value
-    } : null;
+    return game.expansionOf[0];
   };
 
-  const getGameCategories = (game) => {
-    if (!game.link || !Array.isArray(game.link)) return [];
-    return game.link
-      .filter(link => link.$.type === 'boardgamecategory' || link.$.type === 'boardgamemechanic')
-      .map(link => link.$.value);
-  };
+  const getGameCategories = (game) => [...(game.categories || []), ...(game.mechanics || [])];
 
   const matchesMood = (game, mood) => {
     if (!mood) return true;
@@ -596,19 +849,43 @@ function App() {
     window.open(`https://boardgamegeek.com/boardgame/${gameId}`, '_blank');
   };
 
+  // Games last played on or after this date are hidden by the "not played in N months" filter
+  const notPlayedSince = filters.notPlayedMonths ? new Date() : null;
+  if (notPlayedSince) {
+    notPlayedSince.setMonth(notPlayedSince.getMonth() - parseInt(filters.notPlayedMonths));
+  }
+
   // Filter games based on current filter settings and scenario
   const filteredGames = games.filter(game => {
     const stats = getGameStats(game);
     
     // Name filter
     if (filters.nameFilter) {
-      const gameName = getGameName(game).toLowerCase();
+      const gameName = game.name.toLowerCase();
       const filterText = filters.nameFilter.toLowerCase();
       if (!gameName.includes(filterText)) return false;
     }
     
     // Hide expansions filter
-    if (filters.hideExpansions && isExpansion(game)) return false;
+    if (filters.hideExpansions && game.isExpansion) return false;
+
+    // Owner filter (game groups)
+    if (filters.ownedBy && !(game.ownedBy || []).includes(filters.ownedBy)) return false;
+
+    // Personal rating filter (unrated games are hidden)
+    if (filters.minMyRating) {
+      const myRating = game.collection?.rating;
+      if (myRating === null || myRating === undefined || myRating < parseFloat(filters.minMyRating)) return false;
+    }
+
+    // Play history filter
+    if (notPlayedSince) {
+      const lastPlayed = playStats[game.id]?.lastPlayed;
+      if (lastPlayed && new Date(lastPlayed) >= notPlayedSince) return false;
+    }
+
+    // Wishlist priority filter
+    if (filters.wishlistPriority && game.collection?.wishlistPriority !== parseInt(filters.wishlistPriority)) return false;
     
     // Weight filter
     if (filters.minWeight && parseFloat(stats.weight) < parseFloat(filters.minWeight)) return false;
@@ -670,13 +947,24 @@ function App() {
       maxPlayers: '',
       bestPlayerCount: '',
       maxTime: '',
-      hideExpansions: false
+      hideExpansions: false,
+      ownedBy: '',
+      wishlistPriority: '',
+      notPlayedMonths: '',
+      minMyRating: ''
     });
     // Also clear scenario when clearing filters
     setCurrentScenario(null);
     setFilterMode('manual');
   };
 
+  // Add or remove an export column, keeping the backend's column order
+  const toggleExportColumn = (column) => {
+    setExportColumns(prev => EXPORT_COLUMNS
+      .map(({ value }) => value)
+      .filter(value => (value === column ? !prev.includes(column) : prev.includes(value))));
+  };
+
   // Sort games
   const sortGames = (games) => {
     const [field, direction] = sortBy.split('-');
@@ -686,17 +974,30 @@ function App() {
       
       switch (field) {
         case 'name':
-          aValue = getGameName(a).toLowerCase();
-          bValue = getGameName(b).toLowerCase();
+          aValue = a.name.toLowerCase();
+          bValue = b.name.toLowerCase();
           break;
         case 'rating':
           aValue = parseFloat(getGameStats(a).rating) || 0;
           bValue = parseFloat(getGameStats(b).rating) || 0;
           break;
+        case 'myRating':
+          aValue = a.collection?.rating || 0;
+          bValue = b.collection?.rating || 0;
+          break;
         case 'weight':
           aValue = parseFloat(getGameStats(a).weight) || 0;
           bValue = parseFloat(getGameStats(b).weight) || 0;
           break;
+        case 'plays':
+          aValue = getPlayCount(a);
+          bValue = getPlayCount(b);
+          break;
+        case 'lastPlayed':
+          // Never played sorts as the oldest
+          aValue = playStats[a.id]?.lastPlayed || '';
+          bValue = playStats[b.id]?.lastPlayed || '';
+          break;
         default:
           return 0;
       }
@@ -743,7 +1044,7 @@ function App() {
                 value={tempUsername}
                 onChange={(e) => setTempUsername(e.target.value)}
                 onKeyDown={handleUsernameKeyPress}
-                placeholder="Enter BGG username"
+                placeholder="BGG username (comma-separate a group)"
                 className="username-input"
                 autoFocus
               />
@@ -762,10 +1063,41 @@ function App() {
           <p>
             {loading ? 'Loading...' : `${sortedAndFilteredGames.length} of ${games.length} games`}
           </p>
+          {fetchedAt && !loading && (
+            <p className="collection-freshness" title={new Date(fetchedAt).toLocaleString()}>
+              updated {formatTimeAgo(fetchedAt)}{refreshing ? ' · refreshing' : ''}
+            </p>
+          )}
+          {importProgress && (
+            <div className="import-progress">
+              <div className="import-progress-bar">
+                <div
+                  className="import-progress-fill"
+                  style={{ width: `${importProgress.totalGames ? Math.round((importProgress.gamesFetched / importProgress.totalGames) * 100) : 0}%` }}
+                />
+              </div>
+              <span className="import-progress-text">
+                {importProgress.stage === 'details'
+                  ? `Importing ${importProgress.gamesFetched} of ${importProgress.totalGames} games${importProgress.totalBatches ? ` · batch ${importProgress.batchesDone}/${importProgress.totalBatches}` : ''}${importProgress.etaSeconds ? ` · ~${formatEta(importProgress.etaSeconds)} left` : ''}`
+                  : 'Requesting collection from BGG...'}
+              </span>
+            </div>
+          )}
           <div className="refresh-section">
+            <select
+              value={collectionStatus}
+              onChange={(e) => handleStatusChange(e.target.value)}
+              disabled={!username}
+              className="status-select"
+              title="Collection view"
+            >
+              {COLLECTION_STATUSES.map(status => (
+                <option key={status.value} value={status.value}>{status.label}</option>
+              ))}
+            </select>
             <button 
               onClick={manualRefresh} 
-              disabled={refreshing || !username || loading}
+              disabled={refreshing || !username || loading || !!importProgress}
               className="refresh-button"
             >
               {refreshing ? 'Checking for new games...' : 'Check for new games'}
@@ -788,6 +1120,19 @@ function App() {
         />
       )}
 
+      {/* Local collection editor, single local collections only */}
+      {username && !isGroup && isLocalUsername(username) && (
+        <LocalCollectionPanel
+          name={username.slice(LOCAL_PREFIX.length).toLowerCase()}
+          onChange={() => loadGamesForUser(username, collectionStatus)}
+        />
+      )}
+
+      {/* Collection history, single collections only */}
+      {username && !isGroup && (
+        <CollectionTimeline username={username} status={collectionStatus} />
+      )}
+
       {loading && (
         <div className="loading-content">
           <div className="loading-spinner"></div>
@@ -795,23 +1140,42 @@ function App() {
         </div>
       )}
 
+      {groupNotice && !error && (
+        <div className="group-notice">{groupNotice}</div>
+      )}
+
       {error && username && (
         <div className="error-content">
           <div className="error-icon">⚠️</div>
           <h3>Error loading collection</h3>
           <p>{error}</p>
-          <p>Please check that the username "{username}" is correct and the collection is public.</p>
-          <button onClick={handleUsernameEdit} className="retry-button">
-            Change Username
-          </button>
+          {TRANSIENT_BGG_ERRORS.includes(errorCode) ? (
+            <button onClick={() => loadGamesForUser(username, collectionStatus)} className="retry-button">
+              Try Again
+            </button>
+          ) : (
+            <>
+              <p>
+                {isLocalUsername(username)
+                  ? 'Create the local collection above to start adding games.'
+                  : `Please check that the username "${username}" is correct and the collection is public.`}
+              </p>
+              <button onClick={handleUsernameEdit} className="retry-button">
+                Change Username
+              </button>
+            </>
+          )}
         </div>
       )}
 
-      {!loading && !error && games.length === 0 && username && (
+      {!loading && !error && !importProgress && games.length === 0 && username && (
         <div className="no-content">
           <div className="no-content-icon">📚</div>
           <h3>No games found</h3>
-          <p>The collection for "{username}" appears to be empty or private.</p>
+          <p>
+            The {COLLECTION_STATUSES.find(status => status.value === collectionStatus)?.label.toLowerCase()} list
+            for "{username}" appears to be empty or private.
+          </p>
           <button onClick={handleUsernameEdit} className="retry-button">
             Change Username
           </button>
@@ -978,6 +1342,68 @@ function App() {
                   </label>
                 </div>
 
+                {collectionStatus === 'wishlist' && !isGroup && (
+                  <div className="filter-group">
+                    <label>Wishlist Priority</label>
+                    <select
+                      value={filters.wishlistPriority}
+                      onChange={(e) => handleFilterChange('wishlistPriority', e.target.value)}
+                    >
+                      <option value="">Any</option>
+                      {Object.entries(WISHLIST_PRIORITIES).map(([priority, label]) => (
+                        <option key={priority} value={priority}>{priority} - {label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {/* Ratings are personal, a group has no "my rating" */}
+                {!isGroup && (
+                  <div className="filter-group">
+                    <label>My Rating</label>
+                    <select
+                      value={filters.minMyRating}
+                      onChange={(e) => handleFilterChange('minMyRating', e.target.value)}
+                    >
+                      <option value="">Any</option>
+                      <option value="1">Rated</option>
+                      <option value="6">6+</option>
+                      <option value="7">7+</option>
+                      <option value="8">8+</option>
+                      <option value="9">9+</option>
+                    </select>
+                  </div>
+                )}
+
+                <div className="filter-group">
+                  <label>Not Played In</label>
+                  <select
+                    value={filters.notPlayedMonths}
+                    onChange={(e) => handleFilterChange('notPlayedMonths', e.target.value)}
+                  >
+                    <option value="">Any time</option>
+                    <option value="3">3 months</option>
+                    <option value="6">6 months</option>
+                    <option value="12">12 months</option>
+                    <option value="24">24 months</option>
+                  </select>
+                </div>
+
+                {isGroup && (
+                  <div className="filter-group">
+                    <label>Owned By</label>
+                    <select
+                      value={filters.ownedBy}
+                      onChange={(e) => handleFilterChange('ownedBy', e.target.value)}
+                    >
+                      <option value="">Anyone</option>
+                      {usernames.map(member => (
+                        <option key={member} value={member}>{member}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 <div className="filter-group">
                   <label>Sort By</label>
                   <select
@@ -988,8 +1414,14 @@ function App() {
                     <option value="name-desc">Name (Z-A)</option>
                     <option value="rating-desc">Rating (High to Low)</option>
                     <option value="rating-asc">Rating (Low to High)</option>
+                    {!isGroup && <option value="myRating-desc">My Rating (High to Low)</option>}
+                    {!isGroup && <option value="myRating-asc">My Rating (Low to High)</option>}
                     <option value="weight-desc">Weight (Heavy to Light)</option>
                     <option value="weight-asc">Weight (Light to Heavy)</option>
+                    <option value="plays-desc">Plays (Most to Fewest)</option>
+                    <option value="plays-asc">Plays (Fewest to Most)</option>
+                    <option value="lastPlayed-desc">Last Played (Recent First)</option>
+                    <option value="lastPlayed-asc">Last Played (Longest Ago First)</option>
                   </select>
                 </div>
 
@@ -998,6 +1430,44 @@ function App() {
                     Clear Filters
                   </button>
                 </div>
+
+                <div className="filter-group export-group">
+                  <label>Export Shown Games</label>
+                  <div className="export-controls">
+                    <select
+                      value={exportFormat}
+                      onChange={(e) => setExportFormat(e.target.value)}
+                    >
+                      {EXPORT_FORMATS.map(format => (
+                        <option key={format.value} value={format.value}>{format.label}</option>
+                      ))}
+                    </select>
+                    <a
+                      className="export-btn"
+                      href={buildExportUrl(usernames, collectionStatus, filters, sortBy, currentScenario, exportFormat, exportColumns)}
+                      download
+                    >
+                      Export
+                    </a>
+                  </div>
+                  <details className="export-columns">
+                    <summary>Columns ({exportColumns.length})</summary>
+                    <div className="export-columns-list">
+                      {EXPORT_COLUMNS.map(column => (
+                        <label key={column.value}>
+                          <input
+                            type="checkbox"
+                            checked={exportColumns.includes(column.value)}
+                            // At least one column is always exported
+                            disabled={exportColumns.length === 1 && exportColumns.includes(column.value)}
+                            onChange={() => toggleExportColumn(column.value)}
+                          />
+                          {column.label}
+                        </label>
+                      ))}
+                    </div>
+                  </details>
+                </div>
               </div>
             </div>
           )}
@@ -1015,11 +1485,11 @@ function App() {
         <div className="games-grid">
           {sortedAndFilteredGames.map((game) => {
             const stats = getGameStats(game);
-            const gameId = getGameId(game);
+            const gameId = game.id;
             
             return (
-              <div key={gameId} className="game-card">
-                {isExpansion(game) && (
+              <div key={gameId} className={`game-card${game.detailsPending ? ' details-pending' : ''}`}>
+                {game.isExpansion && (
                   <div className="expansion-badge">
                     <span>📦 Expansion</span>
                   </div>
@@ -1062,7 +1532,7 @@ function App() {
                   {getGameImage(game) && (
                     <img 
                       src={getGameImage(game)} 
-                      alt={getGameName(game)}
+                      alt={game.name}
                       onError={(e) => {e.target.style.display = 'none'}}
                     />
                   )}
@@ -1073,35 +1543,67 @@ function App() {
                     className="game-title"
                     onClick={() => openGameDetails(game)}
                   >
-                    {getGameName(game)}
+                    {game.name}
                   </h3>
-                  
-                  <div className="game-stats">
-                    <div className="stat">
-                      <span className="label">Rating:</span>
-                      <span className="value">{stats.rating}</span>
+
+                  {collectionStatus === 'wishlist' && game.collection?.wishlistPriority && (
+                    <div className={`wishlist-badge priority-${game.collection.wishlistPriority}`}>
+                      {WISHLIST_PRIORITIES[game.collection.wishlistPriority]}
                     </div>
-                    
-                    <div className="stat">
-                      <span className="label">Weight:</span>
-                      <span className="value">{stats.weight}</span>
+                  )}
+
+                  {isGroup && game.ownedBy && (
+                    <div className="owned-by-badge" title="Owned by">
+                      👥 {game.ownedBy.join(', ')}
                     </div>
-                    
-                    <div className="stat">
-                      <span className="label">Players:</span>
-                      <span className="value">
-                        {stats.minPlayers}-{stats.maxPlayers}
-                        {stats.bestPlayerCount !== 'N/A' && (
-                          <span className="best-count"> (Best {stats.bestPlayerCount})</span>
-                        )}
-                      </span>
+                  )}
+                  
+                  {game.detailsPending ? (
+                    <div className="details-pending-notice" title="BGG details couldn't be loaded yet and are retried automatically">
+                      ⏳ Details pending
                     </div>
-                    
-                    <div className="stat">
-                      <span className="label">Time:</span>
-                      <span className="value">{stats.playingTime} min</span>
+                  ) : (
+                    <div className="game-stats">
+                      <div className="stat">
+                        <span className="label">Rating:</span>
+                        <span className="value">{stats.rating}</span>
+                      </div>
+
+                      {game.collection?.rating && (
+                        <div className="stat">
+                          <span className="label">My Rating:</span>
+                          <span className="value">{stats.myRating}</span>
+                        </div>
+                      )}
+                      
+                      <div className="stat">
+                        <span className="label">Weight:</span>
+                        <span className="value">{stats.weight}</span>
+                      </div>
+                      
+                      <div className="stat">
+                        <span className="label">Players:</span>
+                        <span className="value">
+                          {stats.minPlayers}-{stats.maxPlayers}
+                          {stats.bestPlayerCount !== 'N/A' && (
+                            <span className="best-count"> (Best {stats.bestPlayerCount})</span>
+                          )}
+                        </span>
+                      </div>
+                      
+                      <div className="stat">
+                        <span className="label">Time:</span>
+                        <span className="value">{stats.playingTime} min</span>
+                      </div>
                     </div>
-                  </div>
+                  )}
+
+                  {getPlayCount(game) > 0 && (
+                    <div className="play-summary">
+                      Played {getPlayCount(game)}×
+                      {playStats[gameId]?.lastPlayed && ` · last ${playStats[gameId].lastPlayed}`}
+                    </div>
+                  )}
                   
                   <button 
                     className="bgg-link"
@@ -1124,21 +1626,21 @@ function App() {
             
             <div className="modal-header">
               <h2>
-                {getGameName(selectedGame)}
-                {isExpansion(selectedGame) && (
+                {selectedGame.name}
+                {selectedGame.isExpansion && (
                   <span className="expansion-indicator"> 📦</span>
                 )}
               </h2>
               <button 
                 className="bgg-link primary"
-                onClick={() => openBGGPage(getGameId(selectedGame))}
+                onClick={() => openBGGPage(selectedGame.id)}
               >
                 View on BGG
               </button>
             </div>
             
             <div className="modal-body">
-              {isExpansion(selectedGame) && (
+              {selectedGame.isExpansion && (
                 <div className="detail-section expansion-info">
                   <h3>🔗 Expansion Information</h3>
                   <div className="expansion-details">
@@ -1159,7 +1661,7 @@ function App() {
                 {getGameImage(selectedGame) && (
                   <img 
                     src={getGameImage(selectedGame)} 
-                    alt={getGameName(selectedGame)}
+                    alt={selectedGame.name}
                   />
                 )}
               </div>
@@ -1167,15 +1669,68 @@ function App() {
               <div className="game-details">
                 <div className="detail-section">
                   <h3>Game Statistics</h3>
+                  {selectedGame.detailsPending && (
+                    <p className="details-pending-notice">
+                      ⏳ Details for this game couldn't be loaded from BGG yet. They are retried automatically.
+                    </p>
+                  )}
                   <div className="stats-grid">
                     <div>Rating: {getGameStats(selectedGame).rating}</div>
                     <div>Weight: {getGameStats(selectedGame).weight}</div>
                     <div>Players: {getGameStats(selectedGame).minPlayers}-{getGameStats(selectedGame).maxPlayers}</div>
                     <div>Best Count: {getGameStats(selectedGame).bestPlayerCount}</div>
-                    <div>Year: {safeGetValue(selectedGame.yearpublished)}</div>
-                    <div>Playing Time: {safeGetValue(selectedGame.playingtime)} min</div>
+                    <div>Year: {selectedGame.yearPublished ?? 'N/A'}</div>
+                    <div>Playing Time: {selectedGame.playingTime?.typical ?? 'N/A'} min</div>
+                    {!isGroup && <div>My Rating: {getGameStats(selectedGame).myRating}</div>}
+                    <div>{isGroup ? 'Plays' : 'My Plays'}: {getPlayCount(selectedGame)}</div>
                   </div>
                 </div>
+
+                {selectedGame.collection?.condition && (
+                  <div className="detail-section">
+                    <h3>Condition</h3>
+                    <p className="collection-comment">{selectedGame.collection.condition}</p>
+                  </div>
+                )}
+
+                {(selectedGame.collection?.comment || selectedGame.collection?.privateComment) && (
+                  <div className="detail-section">
+                    <h3>My Notes</h3>
+                    {selectedGame.collection.comment && (
+                      <p className="collection-comment">{selectedGame.collection.comment}</p>
+                    )}
+                    {selectedGame.collection.privateComment && (
+                      <p className="collection-comment private">🔒 {selectedGame.collection.privateComment}</p>
+                    )}
+                  </div>
+                )}
+
+                {selectedGame.collections && (
+                  <div className="detail-section">
+                    <h3>Owners</h3>
+                    {Object.entries(selectedGame.collections).map(([owner, entry]) => (
+                      <div key={owner} className="owner-entry">
+                        <strong>{owner}</strong>
+                        {entry?.rating ? ` · rated ${entry.rating.toFixed(1)}` : ''}
+                        {entry?.numPlays ? ` · ${entry.numPlays} plays` : ''}
+                        {entry?.condition && <p className="collection-comment">{entry.condition}</p>}
+                        {entry?.comment && <p className="collection-comment">{entry.comment}</p>}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {playStats[selectedGame.id] && (
+                  <div className="detail-section">
+                    <h3>Play History</h3>
+                    <div className="stats-grid">
+                      <div>Last Played: {playStats[selectedGame.id].lastPlayed || 'N/A'}</div>
+                    </div>
+                    {playStats[selectedGame.id].players.length > 0 && (
+                      <p className="play-players">Played with: {playStats[selectedGame.id].players.join(', ')}</p>
+                    )}
+                  </div>
+                )}
                 
                 {selectedGame.description && (
                   <div className="detail-section">
@@ -1183,7 +1738,7 @@ function App() {
                     <div 
                       className="description" 
                       dangerouslySetInnerHTML={{
-                        __html: safeGetValue(selectedGame.description, '')
+                        __html: selectedGame.description
                       }}
                     />
                   </div>
@@ -1203,6 +1758,7 @@ function App() {
             setSelectedEvent(null);
           }}
           onRemoveGame={handleRemoveGameFromEvent}
+          onAddGame={handleAddGameToEvent}
           isCreator={isEventOwner(selectedEvent.id)}
         />
       )}
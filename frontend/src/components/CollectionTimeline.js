@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+
+// Readable names for the collection status flags stored in the history
+const STATUS_LABELS = {
+  own: 'Owned',
+  prevOwned: 'Previously owned',
+  forTrade: 'For trade',
+  want: 'Want',
+  wantToPlay: 'Want to play',
+  wantToBuy: 'Want to buy',
+  wishlist: 'Wishlist',
+  preordered: 'Preordered'
+};
+
+const formatStatus = (status) => status.map(flag => STATUS_LABELS[flag] || flag).join(', ') || 'None';
+
+// Group history entries by month (newest first), skipping the first import
+const groupByMonth = (entries) => {
+  const months = new Map();
+
+  for (const entry of entries) {
+    if (entry.initial) continue;
+
+    const month = entry.at.slice(0, 7);
+    if (!months.has(month)) {
+      months.set(month, { month, added: [], removed: [], statusChanged: [] });
+    }
+    const group = months.get(month);
+    group.added.push(...entry.added);
+    group.removed.push(...entry.removed);
+    group.statusChanged.push(...entry.statusChanged);
+  }
+
+  return [...months.values()].sort((a, b) => b.month.localeCompare(a.month));
+};
+
+const formatMonth = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(year, monthIndex - 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+};
+
+function CollectionTimeline({ username, status }) {
+  const [isCollapsed, setIsCollapsed] = useState(true); // Collapsed by default
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Load the history when the panel is opened
+  useEffect(() => {
+    if (isCollapsed || !username) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    fetch(`/api/collection/${username}/history?status=${status}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load history');
+        if (!cancelled) setEntries(data.entries || []);
+      })
+      .catch((err) => {
+        console.error('Error loading collection history:', err);
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isCollapsed, username, status]);
+
+  if (!username) {
+    return null;
+  }
+
+  const months = groupByMonth(entries);
+  const firstImport = entries.find(entry => entry.initial);
+
+  return (
+    <div className="event-panel timeline-panel">
+      <div className="event-panel-header" onClick={() => setIsCollapsed(!isCollapsed)}>
+        <div className="event-panel-title">
+          <h3>Collection Timeline</h3>
+          <span className={`event-panel-toggle ${isCollapsed ? 'collapsed' : 'expanded'}`}>
+            {isCollapsed ? '▼' : '▲'}
+          </span>
+        </div>
+      </div>
+
+      {!isCollapsed && (
+        <div className="event-panel-content">
+          {loading && <div className="event-loading">Loading history...</div>}
+
+          {!loading && error && <div className="timeline-error">{error}</div>}
+
+          {!loading && !error && months.length === 0 && (
+            <div className="event-empty">
+              <p>No changes recorded yet</p>
+              <p className="event-empty-hint">Games you add, cull or trade show up here after the next refresh.</p>
+            </div>
+          )}
+
+          {!loading && !error && months.map(({ month, added, removed, statusChanged }) => (
+            <div key={month} className="timeline-month">
+              <h4>
+                {formatMonth(month)}
+                <span className="timeline-month-summary">
+                  {added.length > 0 && <span className="timeline-added"> +{added.length}</span>}
+                  {removed.length > 0 && <span className="timeline-removed"> −{removed.length}</span>}
+                </span>
+              </h4>
+              <ul className="timeline-changes">
+                {added.map(game => (
+                  <li key={`added-${game.id}`} className="timeline-added">+ {game.name}</li>
+                ))}
+                {removed.map(game => (
+                  <li key={`removed-${game.id}`} className="timeline-removed">− {game.name}</li>
+                ))}
+                {statusChanged.map((change, index) => (
+                  <li key={`changed-${change.id}-${index}`} className="timeline-changed">
+                    ~ {change.name}: {formatStatus(change.from)} → {formatStatus(change.to)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+
+          {!loading && !error && firstImport && (
+            <p className="timeline-start">
+              Tracking since {new Date(firstImport.at).toLocaleDateString()} with {firstImport.added.length} games
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CollectionTimeline;
@@ -5,9 +5,14 @@ function EventModal({
   event, 
   onClose, 
   onRemoveGame,
+  onAddGame,
   isCreator 
 }) {
   const [copied, setCopied] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
   
   if (!event) return null;
 
@@ -23,6 +28,35 @@ function EventModal({
     }
   };
 
+  // Search BGG for games outside the collection, e.g. one a guest is bringing
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    const query = searchQuery.trim();
+    if (query.length < 2) return;
+
+    setSearching(true);
+    setSearchError('');
+    try {
+      const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Search failed');
+      }
+      setSearchResults(data.games || []);
+      if (!data.games || data.games.length === 0) {
+        setSearchError(`No games found for "${query}"`);
+      }
+    } catch (err) {
+      console.error('Error searching games:', err);
+      setSearchError(err.message);
+      setSearchResults([]);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const isInEvent = (gameId) => (event.games || []).some(g => g.id === gameId);
+
   const scores = event.scores || [];
   const voterCount = event.voterCount || Object.keys(event.votes || {}).length;
 
@@ -132,6 +166,67 @@ function EventModal({
             )}
           </div>
 
+          {/* Game Search */}
+          {isCreator && onAddGame && (
+            <div className="event-search-section">
+              <h3>Add Any Game</h3>
+              <p className="event-share-hint">
+                Search BoardGameGeek for games that aren't in your collection
+              </p>
+              <form className="event-search-form" onSubmit={handleSearch}>
+                <input
+                  type="text"
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                  placeholder="Search by name..."
+                  className="event-share-input"
+                />
+                <button
+                  type="submit"
+                  className="event-share-copy"
+                  disabled={searching || searchQuery.trim().length < 2}
+                >
+                  {searching ? 'Searching...' : 'Search'}
+                </button>
+              </form>
+
+              {searchError && <p className="event-search-error">{searchError}</p>}
+
+              {searchResults.length > 0 && (
+                <div className="event-games-list">
+                  {searchResults.map(game => (
+                    <div key={game.id} className="event-game-item">
+                      {game.thumbnail && (
+                        <img 
+                          src={game.thumbnail} 
+                          alt={game.name}
+                          className="event-game-thumb"
+                        />
+                      )}
+                      <div className="event-game-info">
+                        <span className="event-game-name">
+                          {game.name}
+                          {game.yearPublished && ` (${game.yearPublished})`}
+                        </span>
+                        <span className="event-game-meta">
+                          {game.players?.min ?? '?'}-{game.players?.max ?? '?'} players · {game.playingTime?.typical ?? '?'} min
+                        </span>
+                      </div>
+                      <button
+                        className="event-search-add"
+                        onClick={() => onAddGame(event.id, game)}
+                        disabled={isInEvent(game.id)}
+                        title={isInEvent(game.id) ? 'Already in this event' : 'Add to event'}
+                      >
+                        {isInEvent(game.id) ? '✓' : '+'}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Scenario Info */}
           {event.scenario && (
             <div className="event-scenario-section">
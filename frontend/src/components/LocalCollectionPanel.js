@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+// Edit tokens for local collections created on this device, like event creator tokens
+const getLocalCollectionTokens = () => {
+  try {
+    const tokens = localStorage.getItem('localCollectionTokens');
+    return tokens ? JSON.parse(tokens) : {};
+  } catch {
+    return {};
+  }
+};
+
+const saveLocalCollectionToken = (name, token) => {
+  const tokens = getLocalCollectionTokens();
+  tokens[name] = token;
+  localStorage.setItem('localCollectionTokens', JSON.stringify(tokens));
+};
+
+// Send a change to the local collection API, throwing the API's error message on failure
+const sendChange = async (url, token, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'X-Edit-Token': token, ...options.headers }
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed: ${response.statusText}`);
+  return data;
+};
+
+// Added games whose details are still being fetched from BGG
+const pendingNotice = (pending) =>
+  `Loading details for ${pending.length} ${pending.length === 1 ? 'game' : 'games'} from BGG; ids BGG doesn't know are removed`;
+
+// Manage a local collection (username "local:<name>") for players without a BGG account:
+// create it, add games by search, BGG id or CSV import, edit condition notes and remove games.
+// `onChange` reloads the collection view after every change.
+function LocalCollectionPanel({ name, onChange }) {
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [collection, setCollection] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [conditions, setConditions] = useState({});
+
+  const editToken = getLocalCollectionTokens()[name] || null;
+  const baseUrl = `/api/local-collections/${encodeURIComponent(name)}`;
+
+  const showCollection = useCallback((data) => {
+    setCollection(data);
+    setConditions(Object.fromEntries(data.games.map(game => [game.id, game.condition || ''])));
+  }, []);
+
+  // Load the stored games
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    setNotice('');
+    setNotFound(false);
+    setCollection(null);
+
+    fetch(`/api/local-collections/${encodeURIComponent(name)}`)
+      .then(async (response) => {
+        if (response.status === 404) {
+          if (!cancelled) setNotFound(true);
+          return;
+        }
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load local collection');
+        if (!cancelled) showCollection(data);
+      })
+      .catch((err) => {
+        console.error('Error loading local collection:', err);
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [name, showCollection]);
+
+  // Run a change, then show the updated collection and reload the games
+  const applyChange = async (change) => {
+    setError('');
+    setNotice('');
+    try {
+      const data = await change();
+      showCollection(data);
+      onChange();
+      return data;
+    } catch (err) {
+      console.error('Error updating local collection:', err);
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handleCreate = async () => {
+    setError('');
+    try {
+      const response = await fetch('/api/local-collections', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to create local collection');
+
+      saveLocalCollectionToken(data.name, data.editToken);
+      setNotFound(false);
+      showCollection(data);
+      onChange();
+    } catch (err) {
+      console.error('Error creating local collection:', err);
+      setError(err.message);
+    }
+  };
+
+  // A number adds that BGG id directly, anything else searches BGG by name
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    const query = searchQuery.trim();
+    if (!query) return;
+
+    if (/^\d+$/.test(query)) {
+      await addGames([{ id: query }]);
+      setSearchQuery('');
+      return;
+    }
+    if (query.length < 2) return;
+
+    setSearching(true);
+    setError('');
+    try {
+      const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Search failed');
+      setSearchResults(data.games || []);
+      if (!data.games || data.games.length === 0) {
+        setError(`No games found for "${query}"`);
+      }
+    } catch (err) {
+      console.error('Error searching games:', err);
+      setError(err.message);
+      setSearchResults([]);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const addGames = async (games) => {
+    const data = await applyChange(() => sendChange(`${baseUrl}/games`, editToken, {
+      method: 'POST',
+      body: JSON.stringify({ games })
+    }));
+    if (data && data.pending.length > 0) {
+      setNotice(pendingNotice(data.pending));
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const data = await applyChange(async () => sendChange(`${baseUrl}/import`, editToken, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: await file.text()
+    }));
+    if (data) {
+      setNotice(`Imported ${data.added.length} new games, updated ${data.updated.length}` +
+        (data.skipped.length > 0 ? `, skipped ${data.skipped.length} rows without a BGG id` : '') +
+        (data.pending.length > 0 ? `. ${pendingNotice(data.pending)}` : ''));
+    }
+  };
+
+  const handleConditionSave = (game) => {
+    const condition = conditions[game.id] || '';
+    if (condition === (game.condition || '')) return;
+
+    applyChange(() => sendChange(`${baseUrl}/games/${game.id}`, editToken, {
+      method: 'PATCH',
+      body: JSON.stringify({ condition })
+    }));
+  };
+
+  const handleRemove = (game) => {
+    if (!window.confirm(`Remove ${game.name || `BGG #${game.id}`} from this collection?`)) return;
+    applyChange(() => sendChange(`${baseUrl}/games/${game.id}`, editToken, { method: 'DELETE' }));
+  };
+
+  const isInCollection = (gameId) => !!collection && collection.games.some(game => game.id === gameId);
+
+  return (
+    <div className="event-panel local-collection-panel">
+      <div className="event-panel-header" onClick={() => setIsCollapsed(!isCollapsed)}>
+        <div className="event-panel-title">
+          <h3>Local Collection: {name}</h3>
+          {collection && <span className="event-count-badge">{collection.games.length}</span>}
+          <span className={`event-panel-toggle ${isCollapsed ? 'collapsed' : 'expanded'}`}>
+            {isCollapsed ? '▼' : '▲'}
+          </span>
+        </div>
+      </div>
+
+      {!isCollapsed && (
+        <div className="event-panel-content">
+          {loading && <div className="event-loading">Loading local collection...</div>}
+
+          {error && <p className="event-search-error">{error}</p>}
+          {notice && <p className="local-collection-notice">{notice}</p>}
+
+          {!loading && notFound && (
+            <div className="event-empty">
+              <p>There is no local collection called "{name}" yet</p>
+              <p className="event-empty-hint">
+                Local collections are for players without a BoardGameGeek account. Games are added by BGG id,
+                search or CSV import, and only this device can edit the collection.
+              </p>
+              <button className="event-btn primary" onClick={handleCreate}>
+                Create Collection
+              </button>
+            </div>
+          )}
+
+          {!loading && collection && !editToken && (
+            <p className="event-empty-hint">
+              This collection was created on another device, so it can only be viewed here.
+            </p>
+          )}
+
+          {!loading && collection && editToken && (
+            <>
+              <form className="event-search-form" onSubmit={handleSearch}>
+                <input
+                  type="text"
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                  placeholder="Search by name or enter a BGG id..."
+                  className="event-share-input"
+                />
+                <button type="submit" className="event-share-copy" disabled={searching || !searchQuery.trim()}>
+                  {searching ? 'Searching...' : 'Add'}
+                </button>
+                <label className="event-share-copy local-collection-import">
+                  Import CSV
+                  <input type="file" accept=".csv,text/csv" onChange={handleImport} hidden />
+                </label>
+              </form>
+
+              {searchResults.length > 0 && (
+                <div className="event-games-list">
+                  {searchResults.map(game => (
+                    <div key={game.id} className="event-game-item">
+                      {game.thumbnail && (
+                        <img src={game.thumbnail} alt={game.name} className="event-game-thumb" />
+                      )}
+                      <div className="event-game-info">
+                        <span className="event-game-name">
+                          {game.name}
+                          {game.yearPublished && ` (${game.yearPublished})`}
+                        </span>
+                      </div>
+                      <button
+                        className="event-search-add"
+                        onClick={() => addGames([{ id: game.id }])}
+                        disabled={isInCollection(game.id)}
+                        title={isInCollection(game.id) ? 'Already in this collection' : 'Add to collection'}
+                      >
+                        {isInCollection(game.id) ? '✓' : '+'}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {collection.games.length > 0 && (
+                <div className="event-games-list local-collection-games">
+                  {collection.games.map(game => (
+                    <div key={game.id} className="event-game-item">
+                      <div className="event-game-info">
+                        <span className="event-game-name">{game.name || `BGG #${game.id}`}</span>
+                        <input
+                          type="text"
+                          className="local-collection-condition"
+                          value={conditions[game.id] || ''}
+                          onChange={(e) => setConditions(prev => ({ ...prev, [game.id]: e.target.value }))}
+                          onBlur={() => handleConditionSave(game)}
+                          placeholder="Condition notes (sleeved, missing pieces...)"
+                        />
+                      </div>
+                      <button className="event-search-add" onClick={() => handleRemove(game)} title="Remove from collection">
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LocalCollectionPanel;